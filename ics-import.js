@@ -3,39 +3,222 @@
 const ICAL = require("ical.js");
 const { google } = require("googleapis");
 const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
 const readline = require("readline");
 
+const DEFAULT_DATA_DIR = "data";
+const CONFIG_FILE = "config.json";
+// File names inside the data directory (or the profile's directory)
 const CREDENTIALS_FILE = "credentials.json";
-const EMAIL_ALIASES_FILE = "data/email_aliases.json";
-const NAME_TO_EMAIL_FILE = "data/name_to_email.json";
-const REDIRECT_URI = "urn:ietf:wg:oauth:2.0:oob";
+const EMAIL_ALIASES_FILE = "email_aliases.json";
+const NAME_TO_EMAIL_FILE = "name_to_email.json";
+const CATEGORY_COLORS_FILE = "category_colors.json";
+const EMAIL_REWRITE_RULES_FILE = "email_rewrite_rules.json";
+// Whether a matching rewrite rule beats an exact alias for the same address
+const REWRITE_PRIORITIES = ["rules", "aliases"];
+const MAPPING_KINDS = ["alias", "name"];
+const TOKENS_FILE = "tokens.json";
+const UNRESOLVED_FILE = "unresolved.json";
+const EVENT_INDEX_FILE = "event_index.json";
+const PROFILE_NAME_REGEX = /^[\w.-]+$/;
+// Options a config file may set, with the values each accepts
+const CONFIG_OPTIONS = {
+  calendarId: "string",
+  checkDuplicates: "boolean",
+  sync: "boolean",
+  skipErrors: "boolean",
+  reminders: "reminderMode",
+  nonInteractive: "boolean",
+  unresolved: "unresolvedPolicy",
+  placeholderDomain: "string",
+  batchSize: "number",
+  concurrency: "number",
+  rateLimit: "number",
+  maxRetries: "number",
+  impersonate: "string",
+};
+const UNRESOLVED_POLICIES = ["drop", "placeholder", "fail"];
+// .invalid is reserved (RFC 2606), so placeholder addresses can never reach anyone
+const DEFAULT_PLACEHOLDER_DOMAIN = "unresolved.invalid";
+const CALENDAR_SCOPE = "https://www.googleapis.com/auth/calendar";
+// Desktop OAuth clients accept a redirect to any port on the loopback address
+const LOOPBACK_HOST = "127.0.0.1";
+const AUTH_TIMEOUT_MS = 5 * 60 * 1000;
+const BATCH_ENDPOINT = "https://www.googleapis.com/batch/calendar/v3";
+// Google rejects batch requests with more than 1000 calls
+const MAX_BATCH_SIZE = 1000;
+const DEFAULT_RATE_LIMIT = 10; // requests per second
+// Accepted values of the numeric options, from the command line or the config file
+const NUMBER_OPTIONS = {
+  batchSize: (n) => Number.isInteger(n) && n >= 1 && n <= MAX_BATCH_SIZE,
+  concurrency: (n) => Number.isInteger(n) && n >= 1,
+  rateLimit: (n) => Number.isFinite(n) && n > 0,
+  maxRetries: (n) => Number.isInteger(n) && n >= 0,
+};
+const DEFAULT_MAX_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 64000;
+const CHECKPOINT_INTERVAL_MS = 1000;
+const RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+const RETRYABLE_NETWORK_CODES = ["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED"];
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Address book CSV exports name their columns differently (Google, Outlook, Apple)
+const CSV_NAME_COLUMNS = ["name", "full name", "display name"];
+const CSV_FIRST_NAME_COLUMNS = ["first name", "given name"];
+const CSV_LAST_NAME_COLUMNS = ["last name", "family name", "surname"];
+const MAX_NAME_SUGGESTIONS = 5;
+const MIN_SUGGESTION_SCORE = 0.7;
+// RFC 5545 BYxxx rule parts, in the order they are serialized
+const RRULE_BY_PARTS = [
+  "BYSECOND",
+  "BYMINUTE",
+  "BYHOUR",
+  "BYDAY",
+  "BYMONTHDAY",
+  "BYYEARDAY",
+  "BYWEEKNO",
+  "BYMONTH",
+  "BYSETPOS",
+];
+const RRULE_PARTS = ["INTERVAL", "UNTIL", "COUNT", ...RRULE_BY_PARTS, "WKST"];
+// Google Calendar has no sub-daily recurrences
+const GOOGLE_UNSUPPORTED_FREQS = ["SECONDLY", "MINUTELY", "HOURLY"];
+const GOOGLE_UNSUPPORTED_RRULE_PARTS = ["BYSECOND", "BYMINUTE", "BYHOUR"];
+const REMINDER_MODES = ["preserve", "calendar-default", "none"];
+// Google Calendar limits: at most 5 overrides, each at most 4 weeks before the event
+const MAX_REMINDER_OVERRIDES = 5;
+const MAX_REMINDER_MINUTES = 40320;
+// Private extended properties on every imported event; --prune only ever
+// deletes events carrying both, with the source it is pruning
+const IMPORT_TAG_PROPERTY = "importedBy";
+const IMPORT_TAG_VALUE = "ics-import";
+const IMPORT_SOURCE_PROPERTY = "importSource";
+// Fields --sync compares to decide whether an existing event needs updating
+const SYNC_FIELDS = ["summary", "start", "end", "location", "attendees", "recurrence"];
+// Longest text Google Calendar accepts in these event fields
+const GOOGLE_FIELD_LIMITS = { summary: 1024, location: 1024, description: 8192, iCalUID: 1024 };
+const MAX_COLOR_ID = 11;
+const RECURRENCE_LINE_REGEX = /^(RRULE|EXRULE|RDATE|EXDATE)[:;]/;
+const RRULE_FREQS = ["SECONDLY", "MINUTELY", "HOURLY", "DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
 
 class CalendarImporter {
-  constructor() {
+  constructor({ dataDir = DEFAULT_DATA_DIR, profile = null } = {}) {
+    this.dataDir = dataDir;
+    this.profile = profile;
+    // Profiles keep their tokens and mappings apart from each other
+    this.stateDir = profile ? path.join(dataDir, "profiles", profile) : dataDir;
+    this.paths = {
+      credentials: this.findCredentialsFile(),
+      emailAliases: path.join(this.stateDir, EMAIL_ALIASES_FILE),
+      nameToEmail: path.join(this.stateDir, NAME_TO_EMAIL_FILE),
+      categoryColors: path.join(this.stateDir, CATEGORY_COLORS_FILE),
+      rewriteRules: path.join(this.stateDir, EMAIL_REWRITE_RULES_FILE),
+      tokens: path.join(this.stateDir, TOKENS_FILE),
+      unresolved: path.join(this.stateDir, UNRESOLVED_FILE),
+      eventIndex: path.join(this.stateDir, EVENT_INDEX_FILE),
+    };
     this.ensureDataDirectory();
     this.emailAliases = this.loadEmailAliases();
     this.nameToEmail = this.loadNameToEmail();
+    this.categoryColors = this.loadCategoryColors();
+    const { rules, priority } = this.loadRewriteRules();
+    this.rewriteRules = rules;
+    this.rewritePriority = priority;
     // Default values, will be overridden by command line options
     this.checkDuplicates = false;
+    this.sync = false;
+    // Keys of the events already in the target calendar, see loadEventIndex
+    this.eventIndex = null;
+    this.prune = false;
+    this.pruneDryRun = false;
+    this.assumeYes = false;
     this.skipErrors = false;
+    this.remindersMode = "preserve";
+    this.nonInteractive = false;
+    this.unresolvedPolicy = "fail";
+    this.placeholderDomain = DEFAULT_PLACEHOLDER_DOMAIN;
+    // Stand-ins chosen by the non-interactive policy; never saved to the mapping files
+    this.unresolvedEmails = {};
+    this.unresolvedNames = {};
+    this.openBrowser = false;
+    this.headlessAuth = false;
+    this.impersonate = null;
+    this.serviceAccount = false;
+    this.batchSize = 1;
+    this.concurrency = 1;
+    this.rateLimit = DEFAULT_RATE_LIMIT;
+    this.maxRetries = DEFAULT_MAX_RETRIES;
+    this.checkpointIntervalMs = CHECKPOINT_INTERVAL_MS;
+    // Calendars confirmed to exist after a lookup answered 404
+    this.checkedCalendars = new Set();
+    this.rateLimitTokens = null;
+    this.rateLimitRefilledAt = 0;
+    this.retryStats = { retries: 0, waitedMs: 0, byReason: {} };
+  }
+
+  findCredentialsFile() {
+    // A profile can bring its own OAuth client or service account key; the
+    // working directory is the original location
+    const candidates = [
+      path.join(this.stateDir, CREDENTIALS_FILE),
+      path.join(this.dataDir, CREDENTIALS_FILE),
+      CREDENTIALS_FILE,
+    ];
+    return candidates.find((file) => fs.existsSync(file)) || CREDENTIALS_FILE;
   }
 
   ensureDataDirectory() {
     try {
-      if (!fs.existsSync("data")) {
-        fs.mkdirSync("data", { recursive: true });
-        console.log("📁 Created data directory");
+      if (!fs.existsSync(this.stateDir)) {
+        fs.mkdirSync(this.stateDir, { recursive: true });
+        console.log(`📁 Created data directory ${this.stateDir}`);
       }
     } catch (error) {
       console.error("⚠️  Could not create data directory:", error.message);
     }
   }
 
+  loadConfig() {
+    const configPath = path.join(this.dataDir, CONFIG_FILE);
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read ${configPath}: ${error.message}`);
+    }
+
+    // Profile settings override the shared defaults
+    const profileOptions = this.profile ? config.profiles?.[this.profile] : {};
+    const options = { ...config.defaults, ...profileOptions };
+    for (const [key, value] of Object.entries(options)) {
+      const type = CONFIG_OPTIONS[key];
+      const valid =
+        type === "reminderMode"
+          ? REMINDER_MODES.includes(value)
+          : type === "unresolvedPolicy"
+            ? UNRESOLVED_POLICIES.includes(value)
+            : type === "number"
+              ? typeof value === "number" && NUMBER_OPTIONS[key](value)
+              : type !== undefined && typeof value === type;
+      if (!valid) {
+        throw new Error(`Invalid "${key}" in ${configPath}: ${JSON.stringify(value)}`);
+      }
+    }
+    console.log(`✅ Loaded settings from ${configPath}`);
+    return options;
+  }
+
   loadEmailAliases() {
     try {
-      if (fs.existsSync(EMAIL_ALIASES_FILE)) {
-        const aliases = JSON.parse(fs.readFileSync(EMAIL_ALIASES_FILE, "utf8"));
+      if (fs.existsSync(this.paths.emailAliases)) {
+        const aliases = JSON.parse(fs.readFileSync(this.paths.emailAliases, "utf8"));
         console.log(`✅ Loaded ${Object.keys(aliases).length} email aliases`);
         return aliases;
       }
@@ -47,8 +230,8 @@ class CalendarImporter {
 
   loadNameToEmail() {
     try {
-      if (fs.existsSync(NAME_TO_EMAIL_FILE)) {
-        const mappings = JSON.parse(fs.readFileSync(NAME_TO_EMAIL_FILE, "utf8"));
+      if (fs.existsSync(this.paths.nameToEmail)) {
+        const mappings = JSON.parse(fs.readFileSync(this.paths.nameToEmail, "utf8"));
         console.log(`✅ Loaded ${Object.keys(mappings).length} name-to-email mappings`);
         return mappings;
       }
@@ -58,6 +241,81 @@ class CalendarImporter {
     return {};
   }
 
+  loadCategoryColors() {
+    try {
+      if (fs.existsSync(this.paths.categoryColors)) {
+        const colors = JSON.parse(fs.readFileSync(this.paths.categoryColors, "utf8"));
+        console.log(`✅ Loaded ${Object.keys(colors).length} category colors`);
+        return colors;
+      }
+    } catch (error) {
+      console.log("⚠️  Could not load category colors, ignoring categories for colors");
+    }
+    return {};
+  }
+
+  loadRewriteRules() {
+    const result = { rules: [], priority: "rules" };
+    try {
+      if (!fs.existsSync(this.paths.rewriteRules)) {
+        return result;
+      }
+      const config = JSON.parse(fs.readFileSync(this.paths.rewriteRules, "utf8"));
+      if (config.priority) {
+        if (!REWRITE_PRIORITIES.includes(config.priority)) {
+          throw new Error(`priority must be one of: ${REWRITE_PRIORITIES.join(", ")}`);
+        }
+        result.priority = config.priority;
+      }
+
+      (config.rules || []).forEach((rule, index) => {
+        const label = `#${index + 1} (${rule.glob || rule.regex})`;
+        try {
+          result.rules.push(this.compileRewriteRule(rule, label));
+        } catch (error) {
+          console.log(`⚠️  Skipping email rewrite rule ${label}: ${error.message}`);
+        }
+      });
+      console.log(`✅ Loaded ${result.rules.length} email rewrite rules`);
+    } catch (error) {
+      console.log("⚠️  Could not load email rewrite rules, ignoring them:", error.message);
+    }
+    return result;
+  }
+
+  compileRewriteRule(rule, label) {
+    if (typeof rule.replace !== "string") {
+      throw new Error('missing "replace"');
+    }
+    // Addresses compare case-insensitively; a global or sticky flag would make
+    // test() depend on lastIndex
+    const flags = (rule.flags ?? "i").replace(/[gy]/g, "");
+    let pattern;
+    if (rule.glob) {
+      // Each * or ? becomes a capture group, so "*@old.com" → "$1@new.com"
+      pattern = rule.glob
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, "(.*)")
+        .replace(/\?/g, "(.)");
+      pattern = `^${pattern}$`;
+    } else if (rule.regex) {
+      pattern = rule.regex;
+    } else {
+      throw new Error('needs "glob" or "regex"');
+    }
+    return { label, regex: new RegExp(pattern, flags), replace: rule.replace };
+  }
+
+  applyRewriteRules(email) {
+    // Rules are ordered; the first one that matches wins
+    for (const rule of this.rewriteRules) {
+      if (rule.regex.test(email)) {
+        return { email: email.replace(rule.regex, rule.replace), rule: rule.label };
+      }
+    }
+    return null;
+  }
+
   saveEmailAliases() {
     try {
       // Sort for consistent diff-friendly output
@@ -68,9 +326,9 @@ class CalendarImporter {
           return obj;
         }, {});
 
-      fs.writeFileSync(EMAIL_ALIASES_FILE, JSON.stringify(sortedAliases, null, 2));
+      fs.writeFileSync(this.paths.emailAliases, JSON.stringify(sortedAliases, null, 2));
       console.log(
-        `💾 Saved ${Object.keys(sortedAliases).length} email aliases to ${EMAIL_ALIASES_FILE}`,
+        `💾 Saved ${Object.keys(sortedAliases).length} email aliases to ${this.paths.emailAliases}`,
       );
     } catch (error) {
       console.error("❌ Failed to save email aliases:", error.message);
@@ -87,9 +345,9 @@ class CalendarImporter {
           return obj;
         }, {});
 
-      fs.writeFileSync(NAME_TO_EMAIL_FILE, JSON.stringify(sortedMappings, null, 2));
+      fs.writeFileSync(this.paths.nameToEmail, JSON.stringify(sortedMappings, null, 2));
       console.log(
-        `💾 Saved ${Object.keys(sortedMappings).length} name-to-email mappings to ${NAME_TO_EMAIL_FILE}`,
+        `💾 Saved ${Object.keys(sortedMappings).length} name-to-email mappings to ${this.paths.nameToEmail}`,
       );
     } catch (error) {
       console.error("❌ Failed to save name-to-email mappings:", error.message);
@@ -128,10 +386,17 @@ class CalendarImporter {
     });
   }
 
-  async promptForNameEmail(name) {
+  async promptForNameEmail(name, suggestions = []) {
     console.log(`\n👤 NAME-TO-EMAIL MAPPING REQUIRED`);
     console.log(`Name: "${name}"`);
     console.log("This person has no email address. Please provide one.");
+    if (suggestions.length > 0) {
+      console.log("💡 Suggestions:");
+      suggestions.forEach((suggestion, index) => {
+        const score = Math.round(suggestion.score * 100);
+        console.log(`   ${index + 1}. ${suggestion.email} (${suggestion.reason}, ${score}% match)`);
+      });
+    }
 
     const rl = readline.createInterface({
       input: process.stdin,
@@ -139,17 +404,42 @@ class CalendarImporter {
     });
 
     return new Promise((resolve) => {
+      const askToRemember = (email) => {
+        rl.question(`Remember "${name}" → ${email} for future runs? (Y/n): `, (answer) => {
+          rl.close();
+          resolve({ email: email, remember: !/^n/i.test(answer.trim()) });
+        });
+      };
+
       const askForEmail = () => {
-        rl.question(`Enter email address for "${name}": `, (email) => {
+        const prompt =
+          suggestions.length > 0
+            ? `Enter email address or suggestion number for "${name}": `
+            : `Enter email address for "${name}": `;
+        rl.question(prompt, (email) => {
           if (!email.trim()) {
             console.log("❌ Email cannot be empty");
             askForEmail();
             return;
           }
 
+          if (/^\d+$/.test(email.trim())) {
+            const suggestion = suggestions[Number(email.trim()) - 1];
+            if (suggestion && EMAIL_REGEX.test(suggestion.email)) {
+              askToRemember(suggestion.email);
+            } else if (suggestion) {
+              console.log("❌ Invalid email format, please try again");
+              askForEmail();
+            } else {
+              console.log("❌ No suggestion with that number, please try again");
+              askForEmail();
+            }
+            return;
+          }
+
           if (EMAIL_REGEX.test(email.trim())) {
             rl.close();
-            resolve(email.trim());
+            resolve({ email: email.trim(), remember: true });
           } else {
             console.log("❌ Invalid email format, please try again");
             askForEmail();
@@ -160,6 +450,77 @@ class CalendarImporter {
     });
   }
 
+  getNameSuggestions(name, scan) {
+    const candidates = [];
+    const consider = (email, otherName, reason) => {
+      // Only offer addresses that would pass as typed input
+      if (!email || !this.isValidEmail(email)) return;
+      const score = this.nameSimilarity(name, otherName);
+      if (score >= MIN_SUGGESTION_SCORE) {
+        candidates.push({ email, reason, score });
+      }
+    };
+
+    for (const [mappedName, email] of Object.entries(this.nameToEmail)) {
+      consider(email, mappedName, `mapped name "${mappedName}"`);
+    }
+    for (const [cn, emails] of Object.entries(scan.namedEmails || {})) {
+      for (const email of emails) {
+        consider(this.resolveEmail(email), cn, `"${cn}" in this file`);
+      }
+    }
+    for (const email of scan.emails || []) {
+      const resolved = this.resolveEmail(email);
+      if (resolved) {
+        // "john.smith@..." reads as "john smith"
+        consider(resolved, resolved.split("@")[0], "address in this file");
+      }
+    }
+
+    // Keep the best reason for each address
+    const best = new Map();
+    for (const candidate of candidates) {
+      const key = candidate.email.toLowerCase();
+      if (!best.has(key) || best.get(key).score < candidate.score) {
+        best.set(key, candidate);
+      }
+    }
+    return [...best.values()].sort((a, b) => b.score - a.score).slice(0, MAX_NAME_SUGGESTIONS);
+  }
+
+  nameSimilarity(a, b) {
+    const words = (value) =>
+      value
+        .normalize("NFD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    const similarity = (x, y) =>
+      x.length + y.length === 0 ? 0 : 1 - this.editDistance(x, y) / Math.max(x.length, y.length);
+
+    const wordsA = words(a);
+    const wordsB = words(b);
+    // Also compare sorted words so "Smith, John" matches "John Smith"
+    return Math.max(
+      similarity(wordsA.join(" "), wordsB.join(" ")),
+      similarity([...wordsA].sort().join(" "), [...wordsB].sort().join(" ")),
+    );
+  }
+
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
   extractEmail(emailData) {
     if (!emailData) return null;
 
@@ -179,45 +540,31 @@ class CalendarImporter {
     return email || null;
   }
 
-  async extractAllEmailsAndNames(icsFilePath) {
+  async extractAllEmailsAndNames(icsFilePath, onEvent = null) {
     console.log(`\n🔍 Scanning ICS file for emails and names: ${icsFilePath}`);
 
-    const icsData = fs.readFileSync(icsFilePath, "utf8");
-    const jcalData = ICAL.parse(icsData);
-    const comp = new ICAL.Component(jcalData);
-    const vevents = comp.getAllSubcomponents("vevent");
-
     const foundEmails = new Set();
     const foundNames = new Set();
+    // CN values that come with an address, used to suggest emails for bare names
+    const namedEmails = {};
+    const addNamedEmail = (name, email) => {
+      if (!namedEmails[name]) namedEmails[name] = [];
+      if (!namedEmails[name].includes(email)) namedEmails[name].push(email);
+    };
     let eventCount = 0;
 
-    for (const vevent of vevents) {
+    for await (const vevent of this.readVEvents(icsFilePath)) {
       eventCount++;
       const event = new ICAL.Event(vevent);
-
-      const organizerProp = event.component.getFirstProperty("organizer");
-      if (organizerProp) {
-        const organizerEmail = this.extractEmail(organizerProp.getFirstValue());
-        const organizerName = organizerProp.getParameter("cn");
-
-        if (organizerEmail) {
-          foundEmails.add(organizerEmail);
-        } else if (organizerName) {
-          foundNames.add(organizerName);
-        }
-      }
-
-      const attendeeProps = event.component.getAllProperties("attendee");
-      if (attendeeProps) {
-        for (const attendeeProp of attendeeProps) {
-          const attendeeEmail = this.extractEmail(attendeeProp.getFirstValue());
-          const attendeeName = attendeeProp.getParameter("cn");
-
-          if (attendeeEmail) {
-            foundEmails.add(attendeeEmail);
-          } else if (attendeeName) {
-            foundNames.add(attendeeName);
-          }
+      if (onEvent) await onEvent(event);
+
+      const { organizer, attendees } = this.readEventAddresses(vevent);
+      for (const person of organizer ? [organizer, ...attendees] : attendees) {
+        if (person.email) {
+          foundEmails.add(person.email);
+          if (person.name) addNamedEmail(person.name, person.email);
+        } else if (person.name) {
+          foundNames.add(person.name);
         }
       }
     }
@@ -229,7 +576,116 @@ class CalendarImporter {
     return {
       emails: Array.from(foundEmails),
       names: Array.from(foundNames),
+      namedEmails: namedEmails,
+    };
+  }
+
+  async *readVEvents(icsFilePath) {
+    // Reads one VEVENT at a time so memory stays bounded by the largest event,
+    // not the size of the file
+    const input = fs.createReadStream(icsFilePath, { encoding: "utf8" });
+    const rl = readline.createInterface({ input: input, crlfDelay: Infinity });
+
+    let eventLines = null;
+    let pendingLine = null;
+
+    const handleLine = (line) => {
+      if (eventLines === null) {
+        if (/^BEGIN:VEVENT$/i.test(line.trim())) {
+          eventLines = [line];
+        }
+        return null;
+      }
+
+      eventLines.push(line);
+      if (/^END:VEVENT$/i.test(line.trim())) {
+        const vevent = new ICAL.Component(ICAL.parse(eventLines.join("\r\n")));
+        eventLines = null;
+        return vevent;
+      }
+      return null;
     };
+
+    try {
+      for await (const rawLine of rl) {
+        // Unfold RFC 5545 continuation lines (leading space or tab)
+        if (pendingLine !== null && /^[ \t]/.test(rawLine)) {
+          pendingLine += rawLine.substring(1);
+          continue;
+        }
+
+        if (pendingLine !== null) {
+          const vevent = handleLine(pendingLine);
+          if (vevent) yield vevent;
+        }
+        pendingLine = rawLine;
+      }
+
+      if (pendingLine !== null) {
+        const vevent = handleLine(pendingLine);
+        if (vevent) yield vevent;
+      }
+    } finally {
+      rl.close();
+      input.destroy();
+    }
+  }
+
+  async *readJSONL(jsonlPath) {
+    const input = fs.createReadStream(jsonlPath, { encoding: "utf8" });
+    const rl = readline.createInterface({ input: input, crlfDelay: Infinity });
+
+    try {
+      for await (const line of rl) {
+        if (line.trim()) {
+          yield line;
+        }
+      }
+    } finally {
+      rl.close();
+      input.destroy();
+    }
+  }
+
+  async *readJSONLReverse(jsonlPath, chunkSize = 64 * 1024) {
+    // Reads fixed-size chunks from the end of the file so newest-first
+    // processing never needs the whole file in memory
+    const handle = await fs.promises.open(jsonlPath, "r");
+
+    try {
+      const { size } = await handle.stat();
+      let position = size;
+      let remainder = Buffer.alloc(0);
+
+      while (position > 0) {
+        const readSize = Math.min(chunkSize, position);
+        position -= readSize;
+
+        const buffer = Buffer.alloc(readSize);
+        await handle.read(buffer, 0, readSize, position);
+        const data = Buffer.concat([buffer, remainder]);
+
+        // Splitting on the newline byte is safe for multi-byte UTF-8 characters
+        let end = data.length;
+        for (let i = data.length - 1; i >= 0; i--) {
+          if (data[i] === 0x0a) {
+            const line = data.subarray(i + 1, end).toString("utf8");
+            end = i;
+            if (line.trim()) {
+              yield line;
+            }
+          }
+        }
+        remainder = data.subarray(0, end);
+      }
+
+      const firstLine = remainder.toString("utf8");
+      if (firstLine.trim()) {
+        yield firstLine;
+      }
+    } finally {
+      await handle.close();
+    }
   }
 
   isValidEmail(email) {
@@ -297,13 +753,34 @@ class CalendarImporter {
   }
 
   async prepareEmails(icsFilePath) {
+    // Events are converted during the scan and parked here with their
+    // addresses unresolved, since the prompts below may still change the mappings
+    const pendingPath = `${this.getEventsPath(icsFilePath)}.pending`;
+
     try {
       console.log("🚀 PREPARE MODE: Building email and name mappings\n");
 
-      const { emails, names } = await this.extractAllEmailsAndNames(icsFilePath);
+      const filledIn = this.applyUnresolvedReport();
+
+      const pending = this.createJSONLWriter(pendingPath);
+      let skippedCount = 0;
+      const scan = await this.extractAllEmailsAndNames(icsFilePath, async (event) => {
+        const googleEvent = this.convertICSEventFields(event);
+        if (!googleEvent) {
+          skippedCount++;
+          return;
+        }
+        await pending.write({
+          ...this.toEventRecord(googleEvent, event),
+          _addresses: this.readEventAddresses(event.component),
+        });
+      });
+      await pending.end();
+      const { emails, names } = scan;
 
       if (emails.length === 0 && names.length === 0) {
         console.log("✅ No emails or names found in ICS file");
+        fs.rmSync(pendingPath, { force: true });
         return;
       }
 
@@ -311,11 +788,18 @@ class CalendarImporter {
       let newNameMappings = 0;
       let emailPrompts = 0;
       let namePrompts = 0;
+      const unresolved = { emails: [], names: [] };
 
       console.log("\n📧 Processing emails...");
       for (const email of emails) {
-        if (this.emailAliases[email]) {
-          console.log(`✓ ${email} → ${this.emailAliases[email]} (existing)`);
+        const resolved = this.explainEmail(email);
+        if (resolved.source === "alias") {
+          console.log(`✓ ${email} → ${resolved.email} (existing)`);
+          continue;
+        }
+        // Rewritten addresses need no alias of their own
+        if (resolved.source === "rule" && this.isValidEmail(resolved.email)) {
+          console.log(`✓ ${email} → ${resolved.email} (rule ${resolved.rule})`);
           continue;
         }
 
@@ -323,6 +807,9 @@ class CalendarImporter {
           this.emailAliases[email] = email;
           console.log(`✓ ${email} → ${email} (valid)`);
           newEmailMappings++;
+        } else if (this.nonInteractive) {
+          console.log(`⚠️  Unresolved invalid email: "${email}"`);
+          unresolved.emails.push(email);
         } else {
           console.log(`❌ Invalid email found: "${email}"`);
           const validEmail = await this.promptForEmailAlias(email);
@@ -341,23 +828,37 @@ class CalendarImporter {
             continue;
           }
 
-          const email = await this.promptForNameEmail(name);
-          this.nameToEmail[name] = email;
-          console.log(`✅ Mapped: ${name} → ${email}`);
-          newNameMappings++;
+          if (this.nonInteractive) {
+            console.log(`⚠️  Unresolved name: "${name}"`);
+            unresolved.names.push(name);
+            continue;
+          }
+
+          const suggestions = this.getNameSuggestions(name, scan);
+          const { email, remember } = await this.promptForNameEmail(name, suggestions);
           namePrompts++;
+          if (remember) {
+            this.nameToEmail[name] = email;
+            console.log(`✅ Mapped: ${name} → ${email}`);
+            newNameMappings++;
+          } else {
+            // Used for this run's events only, like a non-interactive stand-in
+            this.unresolvedNames[name] = email;
+            console.log(`✅ Using ${email} for ${name} in this run only`);
+          }
         }
       }
 
-      if (newEmailMappings > 0) {
+      if (newEmailMappings > 0 || filledIn.emails > 0) {
         this.saveEmailAliases();
       }
-      if (newNameMappings > 0) {
+      if (newNameMappings > 0 || filledIn.names > 0) {
         this.saveNameToEmail();
       }
 
-      // Generate JSONL file with all converted events
-      await this.generateEventsJSON(icsFilePath);
+      this.handleUnresolved(unresolved, icsFilePath);
+
+      await this.resolvePendingEvents(pendingPath, icsFilePath, skippedCount);
 
       console.log(`\n🎉 Email preparation complete!`);
       console.log(
@@ -366,171 +867,1236 @@ class CalendarImporter {
       console.log(
         `   👤 ${names.length} names processed (${newNameMappings} new mappings, ${namePrompts} prompted)`,
       );
-      console.log(`\n💡 Now run: node script.js process ${icsFilePath}`);
+      const unresolvedCount = unresolved.emails.length + unresolved.names.length;
+      if (unresolvedCount > 0) {
+        console.log(
+          `   ⚠️  ${unresolvedCount} unresolved (${this.unresolvedPolicy}), listed in ${this.paths.unresolved}`,
+        );
+      }
+      const profileArg = this.profile ? ` --profile ${this.profile}` : "";
+      console.log(
+        `\n💡 Now run: node ics-import.js process ${this.getEventsPath(icsFilePath)}${profileArg}`,
+      );
     } catch (error) {
+      fs.rmSync(pendingPath, { force: true });
       console.error(`❌ Prepare failed for ${icsFilePath}:`, error.message);
       process.exit(1);
     }
   }
 
-  async generateEventsJSON(icsFilePath) {
-    console.log(`\n📄 Generating events JSON from ICS file...`);
-
-    const icsData = fs.readFileSync(icsFilePath, "utf8");
-    const jcalData = ICAL.parse(icsData);
-    const comp = new ICAL.Component(jcalData);
-    const vevents = comp.getAllSubcomponents("vevent");
+  applyUnresolvedReport() {
+    const applied = { emails: 0, names: 0 };
+    if (!fs.existsSync(this.paths.unresolved)) {
+      return applied;
+    }
 
-    const jsonlPath = `${icsFilePath}.jsonl`;
-    const events = [];
-    let skippedCount = 0;
+    try {
+      const report = JSON.parse(fs.readFileSync(this.paths.unresolved, "utf8"));
+      // Entries a human filled in with a valid address become regular mappings
+      for (const [email, alias] of Object.entries(report.emails || {})) {
+        if (alias && EMAIL_REGEX.test(alias.trim()) && !this.emailAliases[email]) {
+          this.emailAliases[email] = alias.trim();
+          applied.emails++;
+        }
+      }
+      for (const [name, email] of Object.entries(report.names || {})) {
+        if (email && EMAIL_REGEX.test(email.trim()) && !this.nameToEmail[name]) {
+          this.nameToEmail[name] = email.trim();
+          applied.names++;
+        }
+      }
+    } catch (error) {
+      console.log(`⚠️  Could not read ${this.paths.unresolved}, ignoring it:`, error.message);
+      return applied;
+    }
 
-    for (const vevent of vevents) {
-      const event = new ICAL.Event(vevent);
-      const googleEvent = this.convertICSToGoogleEvent(event);
+    if (applied.emails + applied.names > 0) {
+      console.log(
+        `✅ Applied ${applied.emails + applied.names} mappings filled in from ${this.paths.unresolved}`,
+      );
+    }
+    return applied;
+  }
 
-      if (!googleEvent) {
-        skippedCount++;
-        continue;
+  handleUnresolved(unresolved, icsFilePath) {
+    if (unresolved.emails.length === 0 && unresolved.names.length === 0) {
+      // Everything is mapped now, so an old report would only mislead
+      if (fs.existsSync(this.paths.unresolved)) {
+        fs.unlinkSync(this.paths.unresolved);
+        console.log(`🗑️  Removed ${this.paths.unresolved}, nothing is unresolved`);
       }
+      return;
+    }
 
-      const eventData = {
-        ...googleEvent,
-        _metadata: {
-          isRecurrenceException: !!googleEvent._isRecurrenceException,
-          hasRecurrence: !!googleEvent.recurrence,
-          originalICalUID: event.uid,
-          originalSummary: event.summary,
-        },
-      };
+    // Empty values are left for a human to fill in; the next prepare picks them up
+    const report = {
+      source: icsFilePath,
+      policy: this.unresolvedPolicy,
+      emails: Object.fromEntries(unresolved.emails.map((email) => [email, ""])),
+      names: Object.fromEntries(unresolved.names.map((name) => [name, ""])),
+    };
+    fs.writeFileSync(this.paths.unresolved, JSON.stringify(report, null, 2));
+    console.log(
+      `\n📝 Wrote ${unresolved.emails.length + unresolved.names.length} unresolved entries to ${this.paths.unresolved}`,
+    );
 
-      events.push(eventData);
+    if (this.unresolvedPolicy === "fail") {
+      console.error("❌ Unresolved emails or names; fill in the report and run prepare again");
+      process.exit(1);
     }
 
-    const jsonlContent = events.map((event) => JSON.stringify(event)).join("\n");
-    fs.writeFileSync(jsonlPath, jsonlContent);
-
-    console.log(`✅ Generated ${events.length} events in ${jsonlPath}`);
-    if (skippedCount > 0) {
-      console.log(`   ⏭️  ${skippedCount} events skipped (recurring instances)`);
+    for (const email of unresolved.emails) {
+      this.unresolvedEmails[email] =
+        this.unresolvedPolicy === "placeholder" ? this.makePlaceholderEmail(email) : null;
+    }
+    for (const name of unresolved.names) {
+      this.unresolvedNames[name] =
+        this.unresolvedPolicy === "placeholder" ? this.makePlaceholderEmail(name) : null;
     }
   }
 
-  loadCredentials() {
-    try {
-      if (!fs.existsSync(CREDENTIALS_FILE)) {
-        console.error(`❌ Credentials file not found: ${CREDENTIALS_FILE}`);
-        console.log("📥 Download OAuth2 credentials from Google Cloud Console");
-        process.exit(1);
-      }
+  makePlaceholderEmail(value) {
+    const localPart =
+      value
+        .split("@")[0]
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ".")
+        .replace(/^\.+|\.+$/g, "") || "unknown";
+    return `${localPart}@${this.placeholderDomain}`;
+  }
 
-      const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, "utf8"));
+  resolveEmail(originalEmail) {
+    return this.explainEmail(originalEmail).email;
+  }
 
-      let clientId, clientSecret;
-      if (credentials.installed) {
-        clientId = credentials.installed.client_id;
-        clientSecret = credentials.installed.client_secret;
-      } else if (credentials.web) {
-        clientId = credentials.web.client_id;
-        clientSecret = credentials.web.client_secret;
-      } else {
-        throw new Error("Invalid credentials file format");
-      }
+  explainEmail(originalEmail) {
+    const alias = this.emailAliases[originalEmail];
+    const rewrite = this.applyRewriteRules(originalEmail);
 
-      this.oauth2Client = new google.auth.OAuth2(clientId, clientSecret, REDIRECT_URI);
-      console.log("✅ Credentials loaded successfully");
-    } catch (error) {
-      console.error("❌ Failed to load credentials:", error.message);
-      process.exit(1);
+    if (alias && (!rewrite || this.rewritePriority === "aliases")) {
+      return { email: alias, source: "alias" };
     }
-  }
-
-  async loadSavedTokens() {
-    try {
-      if (fs.existsSync("data/tokens.json")) {
-        const tokens = JSON.parse(fs.readFileSync("data/tokens.json", "utf8"));
-        this.oauth2Client.setCredentials(tokens);
-        this.calendar = google.calendar({ version: "v3", auth: this.oauth2Client });
-        console.log("✅ Using saved authorization tokens");
-        return true;
-      }
-    } catch (error) {
-      console.log("⚠️  Could not load saved tokens, need fresh authorization");
+    if (rewrite) {
+      // An alias for the rewritten address can still refine it
+      return {
+        email: this.emailAliases[rewrite.email] || rewrite.email,
+        source: "rule",
+        rule: rewrite.rule,
+      };
+    }
+    // null means the non-interactive policy dropped this address
+    if (originalEmail in this.unresolvedEmails) {
+      return { email: this.unresolvedEmails[originalEmail], source: "unresolved" };
     }
-    return false;
+    return { email: originalEmail, source: "none" };
   }
 
-  async authorize() {
-    const authUrl = this.oauth2Client.generateAuthUrl({
-      access_type: "offline",
-      scope: ["https://www.googleapis.com/auth/calendar"],
-      prompt: "consent",
-    });
-
-    console.log("\n🔐 AUTHORIZATION REQUIRED");
-    console.log("1. Visit this URL:", authUrl);
-    console.log("2. Grant permission and copy the code");
+  testEmailMapping(email) {
+    console.log(`🧪 Testing "${email}"\n`);
 
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
+    const rewrite = this.applyRewriteRules(email);
+    console.log(
+      rewrite
+        ? `   📏 Rule ${rewrite.rule} fired → ${rewrite.email}`
+        : `   📏 No rewrite rule matches (${this.rewriteRules.length} rules)`,
+    );
+    const alias = this.emailAliases[email];
+    console.log(alias ? `   📖 Exact alias → ${alias}` : "   📖 No exact alias");
+    if (alias && rewrite) {
+      console.log(`   ⚖️  Both apply; ${this.rewritePriority} take priority`);
+    }
 
-    return new Promise((resolve) => {
-      rl.question("\nEnter authorization code: ", async (code) => {
-        rl.close();
-        try {
-          const { tokens } = await this.oauth2Client.getToken(code);
-          this.oauth2Client.setCredentials(tokens);
+    const result = this.explainEmail(email);
+    const valid = this.isValidEmail(result.email);
+    console.log(`\n${valid ? "✅" : "❌"} Result: ${result.email} (via ${result.source})`);
+    return result;
+  }
 
-          fs.writeFileSync("data/tokens.json", JSON.stringify(tokens, null, 2));
-          console.log("✅ Authorization successful!");
+  resolveName(name) {
+    return this.nameToEmail[name] || this.unresolvedNames[name] || null;
+  }
 
-          this.calendar = google.calendar({ version: "v3", auth: this.oauth2Client });
-          resolve();
-        } catch (error) {
-          console.error("❌ Authorization failed:", error.message);
-          process.exit(1);
-        }
-      });
-    });
+  getMappingStore(kind) {
+    return kind === "alias"
+      ? { entries: this.emailAliases, label: "email alias", save: () => this.saveEmailAliases() }
+      : { entries: this.nameToEmail, label: "name mapping", save: () => this.saveNameToEmail() };
   }
 
-  async checkEventExists(iCalUID, calendarId = "primary") {
-    try {
-      const response = await this.calendar.events.list({
-        calendarId: calendarId,
-        iCalUID: iCalUID,
-        maxResults: 1,
-      });
-      return response.data.items && response.data.items.length > 0;
-    } catch (error) {
-      return false;
+  listMappings() {
+    const sections = [
+      ["📧 Email aliases", this.paths.emailAliases, this.emailAliases],
+      ["👤 Name-to-email mappings", this.paths.nameToEmail, this.nameToEmail],
+    ];
+    for (const [title, file, entries] of sections) {
+      const keys = Object.keys(entries).sort();
+      console.log(`\n${title} (${keys.length}, ${file}):`);
+      for (const key of keys) {
+        console.log(`   ${key} → ${entries[key]}`);
+      }
     }
   }
 
-  isSequenceError(error) {
-    if (!error) return false;
-
-    const errorMessage = error.message || "";
-    const errorCode = error.code || "";
-    const statusCode = error.response?.status || "";
+  addMapping(kind, key, email) {
+    if (!this.isValidEmail(email)) {
+      console.error(`❌ Invalid email format: "${email}"`);
+      process.exit(1);
+    }
 
-    return (
-      errorMessage.includes("Invalid sequence value") || statusCode === 409 || errorCode === 409
+    const store = this.getMappingStore(kind);
+    const previous = store.entries[key];
+    store.entries[key] = email;
+    console.log(
+      previous
+        ? `✅ Updated ${store.label}: ${key} → ${email} (was ${previous})`
+        : `✅ Added ${store.label}: ${key} → ${email}`,
     );
+    store.save();
   }
 
-  mapColorToGoogleCalendar(icsColor) {
-    if (!icsColor) return null;
+  removeMapping(kind, key) {
+    const store = this.getMappingStore(kind);
+    if (!(key in store.entries)) {
+      console.error(`❌ No ${store.label} for "${key}"`);
+      process.exit(1);
+    }
 
-    // Google Calendar color IDs (1-11 for events)
-    const colorMap = {
-      // Common color names to Google Calendar color IDs
-      red: "11",
-      orange: "6",
-      yellow: "5",
-      green: "10",
+    console.log(`🗑️  Removed ${store.label}: ${key} → ${store.entries[key]}`);
+    delete store.entries[key];
+    store.save();
+  }
+
+  validateMappings() {
+    let invalidCount = 0;
+    for (const kind of MAPPING_KINDS) {
+      const store = this.getMappingStore(kind);
+      for (const [key, email] of Object.entries(store.entries)) {
+        if (!this.isValidEmail(email)) {
+          console.log(`❌ Invalid ${store.label}: ${key} → "${email}"`);
+          invalidCount++;
+        }
+      }
+    }
+
+    const total = Object.keys(this.emailAliases).length + Object.keys(this.nameToEmail).length;
+    if (invalidCount === 0) {
+      console.log(`✅ All ${total} mappings point to valid email addresses`);
+    } else {
+      console.log(`\n⚠️  ${invalidCount} of ${total} mappings are invalid`);
+    }
+    return invalidCount;
+  }
+
+  async pruneMappings(icsFilePaths, dryRun = false) {
+    const referencedEmails = new Set();
+    const referencedNames = new Set();
+    for (const icsFilePath of icsFilePaths) {
+      const { emails, names } = await this.extractAllEmailsAndNames(icsFilePath);
+      for (const email of emails) {
+        referencedEmails.add(email);
+        // An alias for the rule-rewritten address is still looked up
+        const rewrite = this.applyRewriteRules(email);
+        if (rewrite) {
+          referencedEmails.add(rewrite.email);
+        }
+      }
+      names.forEach((name) => referencedNames.add(name));
+    }
+
+    let prunedCount = 0;
+    const prune = (kind, referenced) => {
+      const store = this.getMappingStore(kind);
+      const unused = Object.keys(store.entries)
+        .filter((key) => !referenced.has(key))
+        .sort();
+      for (const key of unused) {
+        console.log(`   - ${store.label} ${key} → ${store.entries[key]}`);
+        delete store.entries[key];
+      }
+      if (unused.length > 0 && !dryRun) {
+        store.save();
+      }
+      prunedCount += unused.length;
+    };
+
+    console.log(`\n✂️  Mappings not used by ${icsFilePaths.join(", ")}:`);
+    prune("alias", referencedEmails);
+    prune("name", referencedNames);
+
+    if (prunedCount === 0) {
+      console.log("   (none)");
+    } else if (dryRun) {
+      console.log(`\n🔍 Dry run: ${prunedCount} mappings would be removed`);
+    } else {
+      console.log(`\n✅ Removed ${prunedCount} unused mappings`);
+    }
+    return prunedCount;
+  }
+
+  async importMappings(contactsPath, icsFilePath, dryRun = false) {
+    try {
+      console.log("📇 MAPPINGS IMPORT: Matching address book entries\n");
+
+      const contacts = this.readContacts(contactsPath);
+      console.log(`✅ Loaded ${contacts.length} contacts from ${contactsPath}`);
+
+      const { emails, names } = await this.extractAllEmailsAndNames(icsFilePath);
+      const invalidEmails = emails.filter(
+        (email) => !this.isValidEmail(email) && this.explainEmail(email).source !== "rule",
+      );
+      const { additions, conflicts, unmatched } = this.matchContacts(contacts, {
+        emails: invalidEmails,
+        names: names,
+      });
+
+      const addedEmails = Object.entries(additions.emails);
+      const addedNames = Object.entries(additions.names);
+      if (addedEmails.length + addedNames.length > 0) {
+        console.log("\n📋 Mapping changes:");
+        for (const [email, alias] of addedEmails) {
+          console.log(`   + email "${email}" → ${alias}`);
+        }
+        for (const [name, email] of addedNames) {
+          console.log(`   + name "${name}" → ${email}`);
+        }
+      } else {
+        console.log("\n📋 No new mappings found");
+      }
+
+      if (conflicts.length > 0) {
+        console.log("\n⚠️  Conflicts (left unchanged):");
+        for (const conflict of conflicts) {
+          console.log(`   ${conflict}`);
+        }
+      }
+
+      if (dryRun) {
+        console.log(
+          `\n🔍 Dry run: ${addedEmails.length + addedNames.length} mappings would be added`,
+        );
+        return;
+      }
+      if (addedEmails.length > 0) {
+        Object.assign(this.emailAliases, additions.emails);
+        this.saveEmailAliases();
+      }
+      if (addedNames.length > 0) {
+        Object.assign(this.nameToEmail, additions.names);
+        this.saveNameToEmail();
+      }
+
+      console.log(`\n🎉 Mapping import complete!`);
+      console.log(`   ✅ ${addedEmails.length + addedNames.length} mappings added`);
+      console.log(`   ⚠️  ${conflicts.length} conflicts`);
+      console.log(`   ❓ ${unmatched} entries still without a match`);
+    } catch (error) {
+      console.error(`❌ Mapping import failed for ${contactsPath}:`, error.message);
+      process.exit(1);
+    }
+  }
+
+  readContacts(contactsPath) {
+    const text = fs.readFileSync(contactsPath, "utf8");
+    const extension = contactsPath.toLowerCase().split(".").pop();
+    if (extension === "csv") {
+      return this.parseCSVContacts(text);
+    }
+    if (extension === "vcf" || extension === "vcard") {
+      return this.parseVCardContacts(text);
+    }
+    throw new Error("Contacts file must be a .csv or .vcf export");
+  }
+
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((value) => value.trim()));
+  }
+
+  parseCSVContacts(text) {
+    const [header, ...rows] = this.parseCSV(text.replace(/^\uFEFF/, ""));
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.map((title) => title.trim().toLowerCase());
+    const indexOf = (titles) => columns.findIndex((title) => titles.includes(title));
+    const nameIndex = indexOf(CSV_NAME_COLUMNS);
+    const firstIndex = indexOf(CSV_FIRST_NAME_COLUMNS);
+    const lastIndex = indexOf(CSV_LAST_NAME_COLUMNS);
+    // "E-mail Address", "E-mail 1 - Value", "Email 2"... but not "E-mail 1 - Type"
+    const emailIndexes = columns
+      .map((title, index) => (/e-?mail/.test(title) && !/type|label/.test(title) ? index : -1))
+      .filter((index) => index >= 0);
+    if (emailIndexes.length === 0) {
+      throw new Error("CSV has no email column");
+    }
+
+    return rows.map((row) => {
+      const value = (index) => (index >= 0 ? (row[index] || "").trim() : "");
+      const contactNames = [value(nameIndex), `${value(firstIndex)} ${value(lastIndex)}`.trim()];
+      // Google puts several addresses in one cell separated by " ::: "
+      const contactEmails = emailIndexes.flatMap((index) => value(index).split(/\s*:::\s*/));
+      return {
+        names: [...new Set(contactNames.filter(Boolean))],
+        emails: contactEmails.filter(Boolean),
+      };
+    });
+  }
+
+  parseVCardContacts(text) {
+    const contacts = [];
+    let contact = null;
+    // Unfold continuation lines before reading properties
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+    for (const line of lines) {
+      const colon = line.indexOf(":");
+      if (colon < 0) continue;
+      const [name, ...params] = line.slice(0, colon).split(";");
+      const property = name.replace(/^item\d+\./i, "").toUpperCase();
+      const value = line
+        .slice(colon + 1)
+        .trim()
+        .replace(/\\([,;\\])/g, "$1");
+
+      if (property === "BEGIN" && value.toUpperCase() === "VCARD") {
+        contact = { names: [], emails: [] };
+      } else if (property === "END" && value.toUpperCase() === "VCARD" && contact) {
+        contact.names = [...new Set(contact.names.filter(Boolean))];
+        contacts.push(contact);
+        contact = null;
+      } else if (!contact) {
+        continue;
+      } else if (property === "FN") {
+        contact.names.push(value);
+      } else if (property === "N") {
+        const [family = "", given = ""] = value.split(";");
+        contact.names.push(`${given} ${family}`.trim());
+      } else if (property === "EMAIL") {
+        // A preferred address (TYPE=PREF in vCard 3, PREF=1 in vCard 4) goes first
+        const preferred = params.some((param) => /pref/i.test(param));
+        contact.emails[preferred ? "unshift" : "push"](value.replace(/^mailto:/i, ""));
+      }
+    }
+    return contacts;
+  }
+
+  matchContacts(contacts, found) {
+    const normalizeName = (name) => name.toLowerCase().replace(/\s+/g, " ").trim();
+    const byName = new Map();
+    const byAddress = new Map();
+    const byLocalPart = new Map();
+    const addTo = (map, key, email) => {
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(email);
+    };
+
+    for (const contact of contacts) {
+      const emails = contact.emails.filter((email) => EMAIL_REGEX.test(email));
+      if (emails.length === 0) continue;
+      for (const name of contact.names) {
+        addTo(byName, normalizeName(name), emails[0]);
+      }
+      for (const email of emails) {
+        addTo(byAddress, email.toLowerCase(), email);
+        addTo(byLocalPart, email.split("@")[0].toLowerCase(), email);
+      }
+    }
+
+    const additions = { emails: {}, names: {} };
+    const conflicts = [];
+    let unmatched = 0;
+
+    const record = (kind, key, candidates, existing, target) => {
+      const emails = [...(candidates || [])];
+      if (emails.length === 0) {
+        if (!existing) unmatched++;
+        return;
+      }
+      if (emails.length > 1) {
+        conflicts.push(`${kind} "${key}": several contacts match (${emails.join(", ")})`);
+      } else if (existing && existing.toLowerCase() !== emails[0].toLowerCase()) {
+        conflicts.push(`${kind} "${key}": mapped to ${existing}, contact has ${emails[0]}`);
+      } else if (!existing) {
+        target[key] = emails[0];
+      }
+    };
+
+    for (const name of found.names) {
+      record(
+        "name",
+        name,
+        byName.get(normalizeName(name)),
+        this.nameToEmail[name],
+        additions.names,
+      );
+    }
+
+    // Invalid addresses are usually a valid one wrapped in junk ("<a@b.com>") or
+    // missing its domain part ("jsmith@corp"), so try both
+    for (const email of found.emails) {
+      const embedded = email.match(/[^\s<>"'(),;]+@[^\s<>"'(),;]+\.[a-z]{2,}/i);
+      const candidates =
+        (embedded && byAddress.get(embedded[0].toLowerCase())) ||
+        byLocalPart.get(email.split("@")[0].trim().toLowerCase());
+      record("email", email, candidates, this.emailAliases[email], additions.emails);
+    }
+
+    return { additions, conflicts, unmatched };
+  }
+
+  async generateEventsJSON(icsFilePath) {
+    console.log(`\n📄 Generating events JSON from ICS file...`);
+
+    const jsonlPath = this.getEventsPath(icsFilePath);
+    const output = this.createJSONLWriter(jsonlPath);
+    let skippedCount = 0;
+
+    for await (const vevent of this.readVEvents(icsFilePath)) {
+      const event = new ICAL.Event(vevent);
+      const googleEvent = this.convertICSToGoogleEvent(event);
+
+      if (!googleEvent) {
+        skippedCount++;
+        continue;
+      }
+
+      await output.write(this.toEventRecord(googleEvent, event));
+    }
+    await output.end();
+
+    this.logGeneratedEvents(output.count, skippedCount, jsonlPath);
+  }
+
+  async resolvePendingEvents(pendingPath, icsFilePath, skippedCount) {
+    console.log(`\n📄 Generating events JSON with the final mappings...`);
+
+    const jsonlPath = this.getEventsPath(icsFilePath);
+    const output = this.createJSONLWriter(jsonlPath);
+
+    for await (const line of this.readJSONL(pendingPath)) {
+      const { _addresses, ...eventData } = JSON.parse(line);
+      this.resolveEventAddresses(eventData, _addresses);
+      await output.write(eventData);
+    }
+    await output.end();
+    fs.rmSync(pendingPath, { force: true });
+
+    this.logGeneratedEvents(output.count, skippedCount, jsonlPath);
+  }
+
+  logGeneratedEvents(eventCount, skippedCount, jsonlPath) {
+    console.log(`✅ Generated ${eventCount} events in ${jsonlPath}`);
+    if (skippedCount > 0) {
+      console.log(`   ⏭️  ${skippedCount} events skipped (recurring instances)`);
+    }
+  }
+
+  toEventRecord(googleEvent, icsEvent) {
+    return {
+      ...googleEvent,
+      _metadata: {
+        isRecurrenceException: !!googleEvent._isRecurrenceException,
+        hasRecurrence: !!googleEvent.recurrence,
+        originalICalUID: icsEvent.uid,
+        originalSummary: icsEvent.summary,
+      },
+    };
+  }
+
+  createJSONLWriter(filePath) {
+    // The error listener is attached before the first write and every wait
+    // races against it, so a failing disk rejects instead of crashing or hanging
+    const output = fs.createWriteStream(filePath);
+    const failed = new Promise((resolve, reject) => output.once("error", reject));
+    failed.catch(() => {});
+    let count = 0;
+
+    return {
+      get count() {
+        return count;
+      },
+      write: async (record) => {
+        const line = (count > 0 ? "\n" : "") + JSON.stringify(record);
+        count++;
+        if (!output.write(line)) {
+          await Promise.race([new Promise((resolve) => output.once("drain", resolve)), failed]);
+        }
+      },
+      end: () =>
+        Promise.race([
+          new Promise((resolve, reject) =>
+            output.end((error) => (error ? reject(error) : resolve())),
+          ),
+          failed,
+        ]),
+    };
+  }
+
+  loadCredentials() {
+    try {
+      if (!fs.existsSync(this.paths.credentials)) {
+        console.error(`❌ Credentials file not found: ${this.paths.credentials}`);
+        console.log("📥 Download OAuth2 credentials from Google Cloud Console");
+        process.exit(1);
+      }
+
+      const credentials = JSON.parse(fs.readFileSync(this.paths.credentials, "utf8"));
+
+      if (credentials.type === "service_account") {
+        this.loadServiceAccount(credentials);
+        return;
+      }
+      if (this.impersonate) {
+        throw new Error(
+          "--impersonate requires a service account key in " + this.paths.credentials,
+        );
+      }
+
+      let clientId, clientSecret;
+      if (credentials.installed) {
+        clientId = credentials.installed.client_id;
+        clientSecret = credentials.installed.client_secret;
+      } else if (credentials.web) {
+        clientId = credentials.web.client_id;
+        clientSecret = credentials.web.client_secret;
+      } else {
+        throw new Error("Invalid credentials file format");
+      }
+
+      // The redirect URI is chosen per authorization, once the loopback port is known
+      this.oauth2Client = new google.auth.OAuth2(clientId, clientSecret);
+      this.oauth2Client.on("tokens", (tokens) => this.persistRefreshedTokens(tokens));
+      console.log("✅ Credentials loaded successfully");
+    } catch (error) {
+      console.error("❌ Failed to load credentials:", error.message);
+      process.exit(1);
+    }
+  }
+
+  loadServiceAccount(credentials) {
+    // With a subject the key acts as that user through domain-wide delegation
+    this.oauth2Client = new google.auth.JWT({
+      email: credentials.client_email,
+      key: credentials.private_key,
+      scopes: [CALENDAR_SCOPE],
+      subject: this.impersonate || undefined,
+    });
+    this.serviceAccount = true;
+    console.log(`✅ Service account credentials loaded: ${credentials.client_email}`);
+    if (this.impersonate) {
+      console.log(`👤 Impersonating ${this.impersonate}`);
+    } else {
+      console.log(
+        "ℹ️  No --impersonate given; only calendars shared with the service account are reachable",
+      );
+    }
+  }
+
+  async authorizeServiceAccount() {
+    try {
+      await this.oauth2Client.authorize();
+    } catch (error) {
+      if (this.impersonate && /unauthorized_client|access_denied/.test(error.message)) {
+        throw new Error(
+          `Domain-wide delegation is not granted for this client and the calendar scope ` +
+            `(${error.message}). Authorize the service account's client ID in the Admin console`,
+        );
+      }
+      throw error;
+    }
+    this.calendar = google.calendar({ version: "v3", auth: this.oauth2Client });
+    console.log("✅ Service account authorized");
+    return true;
+  }
+
+  async loadSavedTokens() {
+    // Service accounts sign their own tokens, so there is nothing saved to load
+    if (this.serviceAccount) {
+      return this.authorizeServiceAccount();
+    }
+
+    let tokens;
+    try {
+      if (!fs.existsSync(this.paths.tokens)) {
+        return false;
+      }
+      tokens = JSON.parse(fs.readFileSync(this.paths.tokens, "utf8"));
+    } catch (error) {
+      console.log("⚠️  Could not load saved tokens, need fresh authorization");
+      return false;
+    }
+
+    this.oauth2Client.setCredentials(tokens);
+    try {
+      // Refresh up front so a revoked or expired grant shows up now rather than
+      // as a failure on every event mid-import
+      if (tokens.refresh_token) {
+        await this.oauth2Client.refreshAccessToken();
+      } else {
+        await this.oauth2Client.getAccessToken();
+      }
+    } catch (error) {
+      if (this.isRevokedGrantError(error)) {
+        console.log("⚠️  Saved authorization was revoked or has expired, need fresh authorization");
+        return false;
+      }
+      throw error;
+    }
+
+    this.calendar = google.calendar({ version: "v3", auth: this.oauth2Client });
+    console.log("✅ Using saved authorization tokens");
+    return true;
+  }
+
+  isRevokedGrantError(error) {
+    return (
+      error.response?.data?.error === "invalid_grant" ||
+      /invalid_grant|No refresh token is set/.test(error.message || "")
+    );
+  }
+
+  saveTokens(tokens) {
+    // Write to a temporary file and rename it so a crash never leaves a truncated token file
+    const tempFile = `${this.paths.tokens}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, this.paths.tokens);
+  }
+
+  persistRefreshedTokens(tokens) {
+    try {
+      // Refresh responses usually omit the refresh token, so keep the current one
+      this.saveTokens({ ...this.oauth2Client.credentials, ...tokens });
+    } catch (error) {
+      console.error("⚠️  Could not save refreshed tokens:", error.message);
+    }
+  }
+
+  async authorize() {
+    const { codeVerifier, codeChallenge } = await this.oauth2Client.generateCodeVerifierAsync();
+    const state = crypto.randomBytes(16).toString("hex");
+
+    let server = null;
+    if (!this.headlessAuth) {
+      try {
+        server = await this.startLoopbackServer();
+      } catch (error) {
+        console.log(`⚠️  Could not start local listener (${error.message}), using manual entry`);
+      }
+    }
+    const redirectUri = server
+      ? `http://${LOOPBACK_HOST}:${server.address().port}`
+      : `http://${LOOPBACK_HOST}`;
+
+    const authUrl = this.oauth2Client.generateAuthUrl({
+      access_type: "offline",
+      scope: [CALENDAR_SCOPE],
+      prompt: "consent",
+      state: state,
+      code_challenge_method: "S256",
+      code_challenge: codeChallenge,
+      redirect_uri: redirectUri,
+    });
+
+    console.log("\n🔐 AUTHORIZATION REQUIRED");
+    console.log("1. Visit this URL:", authUrl);
+    if (server) {
+      console.log("2. Grant permission; this window picks up the response automatically");
+      if (this.openBrowser) {
+        this.openInBrowser(authUrl);
+      }
+    } else {
+      console.log("2. Grant permission; the browser then fails to load a 127.0.0.1 page");
+      console.log("3. Copy the full address of that page from the browser's address bar");
+    }
+
+    try {
+      const code = server
+        ? await this.waitForAuthCode(server, state)
+        : await this.promptForAuthCode(state);
+      const { tokens } = await this.oauth2Client.getToken({
+        code: code,
+        codeVerifier: codeVerifier,
+        redirect_uri: redirectUri,
+      });
+      this.oauth2Client.setCredentials(tokens);
+
+      this.saveTokens(tokens);
+      console.log("✅ Authorization successful!");
+
+      this.calendar = google.calendar({ version: "v3", auth: this.oauth2Client });
+    } catch (error) {
+      console.error("❌ Authorization failed:", error.message);
+      process.exit(1);
+    } finally {
+      server?.close();
+    }
+  }
+
+  startLoopbackServer() {
+    return new Promise((resolve, reject) => {
+      const server = http.createServer();
+      server.once("error", reject);
+      // Port 0 lets the OS pick a free port
+      server.listen(0, LOOPBACK_HOST, () => {
+        server.removeListener("error", reject);
+        resolve(server);
+      });
+    });
+  }
+
+  waitForAuthCode(server, expectedState) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error("Timed out waiting for the authorization response"));
+      }, AUTH_TIMEOUT_MS);
+
+      server.on("request", (req, res) => {
+        const params = new URL(req.url, `http://${LOOPBACK_HOST}`).searchParams;
+        // Ignore browser extras such as /favicon.ico
+        if (!params.has("code") && !params.has("error")) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+
+        clearTimeout(timer);
+        try {
+          const code = this.parseAuthResponse(params, expectedState);
+          res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+          res.end("Authorization complete. You can close this window.");
+          resolve(code);
+        } catch (error) {
+          res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+          res.end(`Authorization failed: ${error.message}`);
+          reject(error);
+        }
+      });
+    });
+  }
+
+  promptForAuthCode(expectedState) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    return new Promise((resolve, reject) => {
+      rl.question("\nPaste the full redirect URL: ", (answer) => {
+        rl.close();
+        try {
+          const query = answer.trim().replace(/^[^?]*\?/, "");
+          resolve(this.parseAuthResponse(new URLSearchParams(query), expectedState));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+  }
+
+  parseAuthResponse(params, expectedState) {
+    if (params.has("error")) {
+      throw new Error(`Google returned "${params.get("error")}"`);
+    }
+    if (!params.get("code")) {
+      throw new Error("No authorization code found; paste the whole redirect URL");
+    }
+    // A mismatched state means the response was not for the request we started
+    if (params.get("state") !== expectedState) {
+      throw new Error("State mismatch in authorization response");
+    }
+    return params.get("code");
+  }
+
+  openInBrowser(url) {
+    const [command, args] =
+      process.platform === "darwin"
+        ? ["open", [url]]
+        : process.platform === "win32"
+          ? ["cmd", ["/c", "start", "", url]]
+          : ["xdg-open", [url]];
+    try {
+      const child = spawn(command, args, { stdio: "ignore", detached: true });
+      child.on("error", () => console.log("⚠️  Could not open a browser, visit the URL above"));
+      child.unref();
+    } catch (error) {
+      console.log("⚠️  Could not open a browser, visit the URL above");
+    }
+  }
+
+  async checkEventExists(event, calendarId = "primary") {
+    if (this.eventIndex) {
+      const key = this.getIndexKey(event);
+      if (this.eventIndex.has(key)) return true;
+      // Claim the key for the import that follows, so a repeat later in the
+      // run, even in the same batch, counts as a duplicate
+      this.eventIndex.add(key);
+      return false;
+    }
+
+    try {
+      return !!(await this.findExistingEvent(event, calendarId));
+    } catch (error) {
+      // A failed lookup must not pass for "not there", or the event is imported twice
+      const kind = this.getLookupErrorKind(error);
+      if (kind === "notFound") {
+        await this.ensureCalendarExists(calendarId);
+        return false;
+      }
+
+      const lookupError = new Error(
+        kind === "transient"
+          ? `Duplicate check still failing after ${this.maxRetries} retries: ${error.message}`
+          : `Duplicate check failed: ${error.message}`,
+      );
+      lookupError.cause = error;
+      throw lookupError;
+    }
+  }
+
+  async ensureCalendarExists(calendarId) {
+    // A missing calendar answers lookups with 404 as well, and must stop the
+    // run rather than send every event to an insert
+    if (this.checkedCalendars.has(calendarId)) return;
+    try {
+      await this.callCalendarApi("calendars.get", () =>
+        this.calendar.calendars.get({ calendarId: calendarId }),
+      );
+    } catch (error) {
+      if (this.getLookupErrorKind(error) !== "notFound") throw error;
+      const owner = this.impersonate ? ` for ${this.impersonate}` : "";
+      console.error(`❌ Calendar "${calendarId}" was not found${owner}; check --calendar-id`);
+      process.exit(1);
+    }
+    this.checkedCalendars.add(calendarId);
+  }
+
+  getLookupErrorKind(error) {
+    const status = Number(error.response?.status || error.code) || 0;
+    if (status === 404 || status === 410) {
+      return "notFound";
+    }
+    // callCalendarApi has already retried these as often as --max-retries allows
+    return this.getRetryReason(error) ? "transient" : "fatal";
+  }
+
+  getIndexKey(event) {
+    // Exceptions share the series iCalUID; Google and the JSONL write the
+    // original start in different offsets, so compare the instant
+    const originalStart = this.normalizeSyncField("start", event.originalStartTime);
+    return `${event.iCalUID}|${originalStart ?? ""}`;
+  }
+
+  async loadEventIndex(calendarId = "primary") {
+    let stored = {};
+    try {
+      if (fs.existsSync(this.paths.eventIndex)) {
+        stored = JSON.parse(fs.readFileSync(this.paths.eventIndex, "utf8"));
+      }
+    } catch (error) {
+      console.log("⚠️  Could not read the duplicate index, rebuilding it");
+    }
+
+    // "primary" names a different calendar for each impersonated user
+    const storeKey = this.impersonate ? `${this.impersonate}:${calendarId}` : calendarId;
+    let entry = stored[storeKey];
+    let changes = 0;
+    if (entry?.syncToken) {
+      try {
+        changes = await this.refreshEventIndex(entry, calendarId, entry.syncToken);
+        console.log(`📇 Duplicate index refreshed (${changes} change(s) since the last run)`);
+      } catch (error) {
+        // 410 Gone: the sync token expired and only a full listing is accepted
+        if (error.code !== 410 && error.response?.status !== 410) throw error;
+        console.log("📇 Duplicate index is out of date, rebuilding it");
+        entry = null;
+      }
+    }
+    if (!entry?.syncToken) {
+      console.log(`📇 Building duplicate index for calendar ${calendarId}...`);
+      entry = { events: {} };
+      await this.refreshEventIndex(entry, calendarId, null);
+    }
+
+    stored[storeKey] = entry;
+    const tempFile = `${this.paths.eventIndex}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(stored));
+    fs.renameSync(tempFile, this.paths.eventIndex);
+
+    this.eventIndex = new Set(Object.values(entry.events));
+    console.log(`📇 Duplicate index holds ${this.eventIndex.size} event(s)`);
+    return this.eventIndex;
+  }
+
+  async refreshEventIndex(entry, calendarId, syncToken) {
+    // Deleted events are listed too, so an incremental refresh can drop them
+    let pageToken;
+    let changes = 0;
+    do {
+      const response = await this.callCalendarApi("events.list", () =>
+        this.calendar.events.list({
+          calendarId: calendarId,
+          showDeleted: true,
+          maxResults: 2500,
+          syncToken: syncToken || undefined,
+          pageToken: pageToken,
+        }),
+      );
+      for (const event of response.data.items || []) {
+        changes++;
+        // Cancelled events may come back with nothing but their id
+        if (event.status === "cancelled") {
+          delete entry.events[event.id];
+        } else {
+          entry.events[event.id] = this.getIndexKey(event);
+        }
+      }
+      pageToken = response.data.nextPageToken;
+      entry.syncToken = response.data.nextSyncToken || entry.syncToken;
+    } while (pageToken);
+    return changes;
+  }
+
+  async findExistingEvent(event, calendarId = "primary") {
+    const response = await this.callCalendarApi("events.list", () =>
+      this.calendar.events.list({
+        calendarId: calendarId,
+        iCalUID: event.iCalUID,
+      }),
+    );
+
+    // A series and its exceptions share the iCalUID; only the exceptions
+    // carry an originalStartTime
+    const originalStart = this.normalizeSyncField("start", event.originalStartTime);
+    return (response.data.items || []).find(
+      (item) => this.normalizeSyncField("start", item.originalStartTime) === originalStart,
+    );
+  }
+
+  async syncExistingEvent(item, context) {
+    const { cleanEvent } = item;
+    const existing = await this.findExistingEvent(cleanEvent, context.calendarId);
+    if (!existing) return false;
+
+    const changed = this.getChangedFields(existing, cleanEvent);
+    if (changed.length === 0) {
+      console.log(`➖ Unchanged: ${cleanEvent.summary}`);
+      context.progress.unchangedCount++;
+      return true;
+    }
+
+    await this.updateEventWithRetry(context.calendarId, existing.id, cleanEvent);
+    console.log(`✏️  Updated: ${cleanEvent.summary} (${changed.join(", ")})`);
+    context.progress.updatedCount++;
+    return true;
+  }
+
+  getChangedFields(existing, event) {
+    return SYNC_FIELDS.filter(
+      (field) =>
+        JSON.stringify(this.normalizeSyncField(field, existing[field])) !==
+        JSON.stringify(this.normalizeSyncField(field, event[field])),
+    );
+  }
+
+  normalizeSyncField(field, value) {
+    switch (field) {
+      case "start":
+      case "end":
+        // Google returns the local time with an offset; compare the instant
+        if (!value) return null;
+        return value.date || new Date(value.dateTime).getTime();
+      case "attendees":
+        return (value || []).map((attendee) => (attendee.email || "").toLowerCase()).sort();
+      case "recurrence":
+        return [...(value || [])].sort();
+      default:
+        return value || "";
+    }
+  }
+
+  getImportSource(icsFilePath) {
+    // Other files and profiles importing into the same calendar get their own tag
+    const source = path.basename(icsFilePath);
+    return this.profile ? `${this.profile}/${source}` : source;
+  }
+
+  tagImportedEvent(event, source) {
+    return {
+      ...event,
+      extendedProperties: {
+        ...event.extendedProperties,
+        private: {
+          ...event.extendedProperties?.private,
+          [IMPORT_TAG_PROPERTY]: IMPORT_TAG_VALUE,
+          [IMPORT_SOURCE_PROPERTY]: source,
+        },
+      },
+    };
+  }
+
+  async listImportedEvents(calendarId, source) {
+    const events = [];
+    let pageToken;
+    do {
+      const response = await this.callCalendarApi("events.list", () =>
+        this.calendar.events.list({
+          calendarId: calendarId,
+          privateExtendedProperty: [
+            `${IMPORT_TAG_PROPERTY}=${IMPORT_TAG_VALUE}`,
+            `${IMPORT_SOURCE_PROPERTY}=${source}`,
+          ],
+          maxResults: 2500,
+          pageToken: pageToken,
+        }),
+      );
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return events;
+  }
+
+  async pruneCalendar(jsonlPath, icsFilePath, calendarId = "primary", dryRun = false) {
+    // Keyed like the duplicate index, so an exception removed from a series
+    // that is still in the file counts as an orphan
+    const keys = new Set();
+    for await (const line of this.readJSONL(jsonlPath)) {
+      keys.add(this.getIndexKey(JSON.parse(line)));
+    }
+
+    const source = this.getImportSource(icsFilePath);
+    const orphans = (await this.listImportedEvents(calendarId, source)).filter(
+      (event) => !keys.has(this.getIndexKey(event)),
+    );
+    // Deleting a series removes its exceptions as well
+    const orphanSeries = new Set(
+      orphans.filter((event) => !event.originalStartTime).map((event) => event.iCalUID),
+    );
+    const toDelete = orphans.filter(
+      (event) => !event.originalStartTime || !orphanSeries.has(event.iCalUID),
+    );
+
+    if (toDelete.length === 0) {
+      console.log(`🧹 Every event imported from ${source} is still in the JSONL file\n`);
+      return 0;
+    }
+
+    console.log(
+      `🧹 ${toDelete.length} event(s) imported from ${source} are no longer in ${jsonlPath}:`,
+    );
+    for (const event of toDelete) {
+      const start = event.start || event.originalStartTime || {};
+      console.log(
+        `   - ${event.summary || "(untitled)"} (${start.dateTime || start.date}, UID: ${event.iCalUID})`,
+      );
+    }
+
+    if (dryRun) {
+      console.log("🔎 Dry run: nothing was deleted\n");
+      return 0;
+    }
+    if (!this.assumeYes) {
+      // Deleting is never implied by --non-interactive alone
+      if (this.nonInteractive) {
+        console.log(
+          "⚠️  Not deleting without confirmation; add --yes to prune non-interactively\n",
+        );
+        return 0;
+      }
+      if (!(await this.confirmPrune(toDelete.length))) {
+        console.log("⏭️  Prune cancelled, no events were deleted\n");
+        return 0;
+      }
+    }
+
+    let deletedCount = 0;
+    for (const event of toDelete) {
+      try {
+        await this.callCalendarApi("events.delete", () =>
+          this.calendar.events.delete({ calendarId: calendarId, eventId: event.id }),
+        );
+        console.log(`🗑️  Deleted: ${event.summary || "(untitled)"}`);
+        deletedCount++;
+      } catch (error) {
+        // 410 Gone: already deleted since the listing
+        if (error.code === 410 || error.response?.status === 410) continue;
+        if (!this.skipErrors) throw error;
+        console.error(`❌ Failed to delete "${event.summary}": ${error.message}`);
+      }
+    }
+    console.log(`🧹 Deleted ${deletedCount} of ${toDelete.length} event(s)\n`);
+    return deletedCount;
+  }
+
+  confirmPrune(count) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    return new Promise((resolve) => {
+      rl.question(`Delete these ${count} event(s) from the calendar? (y/N): `, (answer) => {
+        rl.close();
+        resolve(/^y/i.test(answer.trim()));
+      });
+    });
+  }
+
+  isSequenceError(error) {
+    if (!error) return false;
+
+    const errorMessage = error.message || "";
+    const errorCode = error.code || "";
+    const statusCode = error.response?.status || "";
+
+    return (
+      errorMessage.includes("Invalid sequence value") || statusCode === 409 || errorCode === 409
+    );
+  }
+
+  mapColorToGoogleCalendar(icsColor) {
+    if (!icsColor) return null;
+
+    // Google Calendar color IDs (1-11 for events)
+    const colorMap = {
+      // Common color names to Google Calendar color IDs
+      red: "11",
+      orange: "6",
+      yellow: "5",
+      green: "10",
       blue: "9",
       purple: "3",
       pink: "4",
@@ -559,429 +2125,1598 @@ class CalendarImporter {
       lightgrey: "8",
     };
 
-    // Normalize the color input
-    const normalizedColor = icsColor.toLowerCase().trim();
+    // Normalize the color input
+    const normalizedColor = icsColor.toLowerCase().trim();
+
+    // Check for direct color name match
+    if (colorMap[normalizedColor]) {
+      console.log(
+        `🎨 Mapped color: "${icsColor}" → Google Calendar color ${colorMap[normalizedColor]}`,
+      );
+      return colorMap[normalizedColor];
+    }
+
+    // Check for hex color codes and map to closest Google Calendar color
+    if (normalizedColor.startsWith("#")) {
+      const hexColor = normalizedColor.substring(1);
+      if (hexColor.length === 6) {
+        const googleColorId = this.mapHexToGoogleColor(hexColor);
+        if (googleColorId) {
+          console.log(
+            `🎨 Mapped hex color: "${icsColor}" → Google Calendar color ${googleColorId}`,
+          );
+          return googleColorId;
+        }
+      }
+    }
+
+    // Check for RGB values
+    const rgbMatch = normalizedColor.match(/rgb\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/);
+    if (rgbMatch) {
+      const [, r, g, b] = rgbMatch;
+      const googleColorId = this.mapRgbToGoogleColor(parseInt(r), parseInt(g), parseInt(b));
+      if (googleColorId) {
+        console.log(`🎨 Mapped RGB color: "${icsColor}" → Google Calendar color ${googleColorId}`);
+        return googleColorId;
+      }
+    }
+
+    console.log(`⚠️  Unknown color format: "${icsColor}", using default`);
+    return null;
+  }
+
+  mapCategoriesToGoogleColor(categories) {
+    const categoryColors = {};
+    for (const [category, color] of Object.entries(this.categoryColors || {})) {
+      categoryColors[category.toLowerCase().trim()] = color;
+    }
+
+    // The first category with a configured color wins
+    for (const category of categories) {
+      const color = categoryColors[category.toLowerCase()];
+      if (!color) continue;
+
+      if (/^([1-9]|1[01])$/.test(String(color))) {
+        return String(color);
+      }
+
+      const googleColorId = this.mapColorToGoogleCalendar(String(color));
+      if (googleColorId) {
+        return googleColorId;
+      }
+    }
+
+    return null;
+  }
+
+  mapHexToGoogleColor(hex) {
+    // Convert hex to RGB
+    const r = parseInt(hex.substring(0, 2), 16);
+    const g = parseInt(hex.substring(2, 4), 16);
+    const b = parseInt(hex.substring(4, 6), 16);
+    return this.mapRgbToGoogleColor(r, g, b);
+  }
+
+  mapRgbToGoogleColor(r, g, b) {
+    // Google Calendar colors (more accurate RGB values)
+    const googleColors = [
+      { id: "1", r: 121, g: 134, b: 203 }, // Lavender (light blue/purple)
+      { id: "2", r: 51, g: 182, b: 121 }, // Sage (teal/green)
+      { id: "3", r: 142, g: 36, b: 170 }, // Grape (purple)
+      { id: "4", r: 230, g: 124, b: 115 }, // Flamingo (pink/salmon)
+      { id: "5", r: 246, g: 191, b: 38 }, // Banana (yellow)
+      { id: "6", r: 255, g: 109, b: 1 }, // Tangerine (orange)
+      { id: "7", r: 121, g: 85, b: 72 }, // Cocoa (brown)
+      { id: "8", r: 97, g: 97, b: 97 }, // Graphite (gray)
+      { id: "9", r: 51, g: 133, b: 255 }, // Blueberry (blue) - corrected for better blue matching
+      { id: "10", r: 51, g: 182, b: 121 }, // Basil (green)
+      { id: "11", r: 217, g: 48, b: 37 }, // Tomato (red)
+    ];
+
+    // Find the closest color using Euclidean distance
+    let closestColor = null;
+    let minDistance = Infinity;
+
+    for (const color of googleColors) {
+      const distance = Math.sqrt(
+        Math.pow(r - color.r, 2) + Math.pow(g - color.g, 2) + Math.pow(b - color.b, 2),
+      );
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        closestColor = color;
+      }
+    }
+
+    return closestColor ? closestColor.id : null;
+  }
+
+  async updateEventWithRetry(calendarId, eventId, eventResource, maxRetries = 3) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        console.log(`🔄 Update attempt ${attempt}/${maxRetries} for event ${eventId}`);
+
+        // Fetch the current event to get the latest sequence number
+        const currentEvent = await this.callCalendarApi("events.get", () =>
+          this.calendar.events.get({
+            calendarId: calendarId,
+            eventId: eventId,
+          }),
+        );
+
+        // Use the current sequence number (or increment it)
+        const currentSequence = currentEvent.data.sequence || 0;
+        const newSequence = currentSequence + 1;
+        console.log(`📊 Current sequence: ${currentSequence}, using: ${newSequence}`);
+
+        const updatedResource = {
+          ...eventResource,
+          sequence: newSequence,
+        };
+
+        const response = await this.callCalendarApi("events.update", () =>
+          this.calendar.events.update({
+            calendarId: calendarId,
+            eventId: eventId,
+            supportsAttendees: true,
+            resource: updatedResource,
+          }),
+        );
+
+        return response;
+      } catch (error) {
+        lastError = error;
+        const errorMessage = error.message || "";
+        const errorCode = error.code || "";
+        const statusCode = error.response?.status || "";
+
+        console.log(`🔍 Error on attempt ${attempt}:`);
+        console.log(`   Message: ${errorMessage}`);
+        console.log(`   Code: ${errorCode}`);
+        console.log(`   Status: ${statusCode}`);
+
+        const isSequenceError = this.isSequenceError(error);
+
+        if (isSequenceError && attempt < maxRetries) {
+          console.log(
+            `⚠️  Sequence/conflict error detected on attempt ${attempt}/${maxRetries}, waiting 2s then retrying...`,
+          );
+          // Wait before retrying to allow any pending operations to complete
+          await this.sleep(2000);
+          continue;
+        }
+
+        console.log(
+          `❌ ${isSequenceError ? "Sequence error - no more retries" : "Non-sequence error"} on attempt ${attempt}`,
+        );
+        // If it's not a sequence error or we've exhausted retries, throw the error
+        throw error;
+      }
+    }
+
+    // This should never be reached, but just in case
+    throw lastError || new Error("All retry attempts failed");
+  }
+
+  convertICSToGoogleEvent(icsEvent) {
+    const event = this.convertICSEventFields(icsEvent);
+    if (event) {
+      this.resolveEventAddresses(event, this.readEventAddresses(icsEvent.component));
+    }
+    return event;
+  }
+
+  convertICSEventFields(icsEvent) {
+    // Everything except the organizer and attendees, which depend on the mappings
+    const recurrenceIdProp = icsEvent.component.getFirstProperty("recurrence-id");
+    const isRecurrenceException = !!recurrenceIdProp;
+
+    // If this is a recurring event instance (contains _R followed by date),
+    // skip it - we'll import the main recurring event instead
+    if (icsEvent.uid && !isRecurrenceException) {
+      const recurringMatch = icsEvent.uid.match(/^(.+)_R\d{8}T?\d*(@.+)?$/);
+      if (recurringMatch) {
+        console.log(`   ⏭️  Skipping recurring event instance: ${icsEvent.summary}`);
+        return null; // Signal to skip this event
+      }
+    }
+
+    // Preserve original UID to maintain connections for RSVPs and updates
+    const iCalUID =
+      icsEvent.uid || `imported-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    if (isRecurrenceException) {
+      console.log(`🔄 Processing recurrence exception for: ${icsEvent.summary}`);
+    }
+
+    const event = {
+      summary: icsEvent.summary,
+      description: icsEvent.description || "",
+      location: icsEvent.location || "",
+      iCalUID: iCalUID,
+    };
+
+    // Handle color information from ICS
+    const colorProp =
+      icsEvent.component.getFirstProperty("color") ||
+      icsEvent.component.getFirstProperty("x-apple-calendar-color") ||
+      icsEvent.component.getFirstProperty("x-outlook-color") ||
+      icsEvent.component.getFirstProperty("x-microsoft-cdo-busystatus-color");
+
+    if (colorProp) {
+      const icsColor = colorProp.getFirstValue();
+      const googleColorId = this.mapColorToGoogleCalendar(icsColor);
+      if (googleColorId) {
+        event.colorId = googleColorId;
+      }
+    }
+
+    const categories = icsEvent.component
+      .getAllProperties("categories")
+      .flatMap((prop) => prop.getValues())
+      .map((category) => String(category).trim())
+      .filter((category) => category);
+
+    if (categories.length > 0) {
+      event.extendedProperties = {
+        private: { categories: categories.join(",") },
+      };
+
+      if (!event.colorId) {
+        const categoryColorId = this.mapCategoriesToGoogleColor(categories);
+        if (categoryColorId) {
+          event.colorId = categoryColorId;
+        }
+      }
+    }
+
+    const transparency = this.convertTransp(icsEvent.component.getFirstPropertyValue("transp"));
+    if (transparency) {
+      event.transparency = transparency;
+    }
+
+    const visibility = this.convertClass(icsEvent.component.getFirstPropertyValue("class"));
+    if (visibility) {
+      event.visibility = visibility;
+    }
+
+    const status = this.convertStatus(icsEvent.component.getFirstPropertyValue("status"));
+    if (status) {
+      event.status = status;
+    }
+
+    const url = icsEvent.component.getFirstPropertyValue("url");
+    if (url && /^https?:\/\//i.test(String(url).trim())) {
+      // Google requires a title for the source link
+      event.source = {
+        title: icsEvent.summary || String(url).trim(),
+        url: String(url).trim(),
+      };
+    }
+
+    if (isRecurrenceException) {
+      const recurrenceId = recurrenceIdProp.getFirstValue();
+      if (recurrenceId) {
+        event.originalStartTime = this.convertICalTimeToGoogle(recurrenceId);
+      }
+      // Mark for special handling during import
+      event._isRecurrenceException = true;
+    }
+
+    const isAllDay = !!(icsEvent.startDate && icsEvent.startDate.isDate);
+
+    if (icsEvent.startDate) {
+      event.start = this.convertICalTimeToGoogle(icsEvent.startDate);
+    }
+
+    if (isAllDay) {
+      event.end = this.convertICalTimeToGoogle(this.getAllDayEndDate(icsEvent));
+    } else if (icsEvent.endDate) {
+      event.end = this.convertICalTimeToGoogle(icsEvent.endDate);
+    }
+
+    const recurrence = this.convertRecurrenceToGoogle(icsEvent.component, isAllDay);
+    if (recurrence.length > 0) {
+      event.recurrence = recurrence;
+    }
+
+    const reminders = this.convertRemindersToGoogle(icsEvent);
+    if (reminders) {
+      event.reminders = reminders;
+    }
+
+    return event;
+  }
+
+  readEventAddresses(vevent) {
+    // Organizer and attendees as found in the file, before any mapping applies
+    const readPerson = (prop) => ({
+      email: this.extractEmail(prop.getFirstValue()),
+      name: prop.getParameter("cn") || null,
+    });
+
+    const organizerProp = vevent.getFirstProperty("organizer");
+    const attendees = vevent.getAllProperties("attendee").map((prop) => ({
+      ...readPerson(prop),
+      partstat: prop.getParameter("partstat") || null,
+      role: (prop.getParameter("role") || "REQ-PARTICIPANT").toUpperCase(),
+      cutype: (prop.getParameter("cutype") || "INDIVIDUAL").toUpperCase(),
+    }));
+
+    return { organizer: organizerProp ? readPerson(organizerProp) : null, attendees };
+  }
+
+  resolveEventAddresses(event, { organizer, attendees }) {
+    // Handle organizer using email aliases or name mappings
+    if (organizer) {
+      const originalEmail = organizer.email;
+      const organizerName = organizer.name;
+
+      let finalEmail = null;
+      let finalName = organizerName;
+
+      if (originalEmail) {
+        finalEmail = this.resolveEmail(originalEmail);
+      } else if (organizerName) {
+        finalEmail = this.resolveName(organizerName);
+        if (!finalEmail) {
+          // Skip only the organizer; the attendees below are still imported
+          console.log(`⚠️  No email mapping found for organizer "${organizerName}"`);
+        }
+      }
+
+      if (finalEmail) {
+        event.organizer = {
+          email: finalEmail,
+          displayName: finalName || finalEmail,
+        };
+      }
+    }
+
+    // Handle attendees using email aliases or name mappings
+    if (attendees.length > 0) {
+      event.attendees = [];
+
+      for (const {
+        email: originalEmail,
+        name: attendeeName,
+        partstat,
+        role,
+        cutype,
+      } of attendees) {
+        let finalEmail = null;
+        let finalName = attendeeName;
+
+        if (originalEmail) {
+          finalEmail = this.resolveEmail(originalEmail);
+        } else if (attendeeName) {
+          finalEmail = this.resolveName(attendeeName);
+          if (!finalEmail) {
+            console.log(`⚠️  No email mapping found for attendee "${attendeeName}", skipping`);
+            continue; // Skip individual attendee rather than fail entire event
+          }
+        }
+
+        if (!finalEmail) continue;
+
+        const attendee = {
+          email: finalEmail,
+          displayName: finalName || finalEmail,
+          // Google has no RSVP flag, so the response comes from PARTSTAT alone
+          responseStatus: this.convertPartStat(partstat),
+          // NON-PARTICIPANT is "for information only", closest to optional;
+          // CHAIR leads the meeting and stays required
+          optional: role === "OPT-PARTICIPANT" || role === "NON-PARTICIPANT",
+        };
+
+        if (cutype === "ROOM" || cutype === "RESOURCE") {
+          attendee.resource = true;
+        }
+
+        if (event.organizer && event.organizer.email.toLowerCase() === finalEmail.toLowerCase()) {
+          attendee.organizer = true;
+        }
+
+        // The organizer often has their own ATTENDEE line, and some clients
+        // repeat attendees; merge them into one entry
+        const existing = event.attendees.find(
+          (other) => other.email.toLowerCase() === finalEmail.toLowerCase(),
+        );
+        if (existing) {
+          this.mergeAttendee(existing, attendee);
+        } else {
+          event.attendees.push(attendee);
+        }
+      }
+
+      if (event.attendees.length === 0) {
+        delete event.attendees;
+      }
+    }
+  }
+
+  convertICalTimeToGoogle(icalTime) {
+    // DATE values (VALUE=DATE) are all-day and must not be shifted through UTC
+    if (icalTime.isDate) {
+      return { date: this.formatGoogleDate(icalTime) };
+    }
+
+    return {
+      dateTime: icalTime.toJSDate().toISOString(),
+      timeZone: this.normalizeTimeZone(icalTime.timezone),
+    };
+  }
+
+  formatGoogleDate(icalTime) {
+    const year = String(icalTime.year).padStart(4, "0");
+    const month = String(icalTime.month).padStart(2, "0");
+    const day = String(icalTime.day).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
 
-    // Check for direct color name match
-    if (colorMap[normalizedColor]) {
+  getAllDayEndDate(icsEvent) {
+    const startDate = icsEvent.startDate;
+    let endDate = icsEvent.endDate;
+
+    // Google requires an exclusive end date, so a missing, zero-length or
+    // timed DTEND on an all-day event becomes a single day
+    if (!endDate || !endDate.isDate || endDate.compare(startDate) <= 0) {
+      endDate = startDate.clone();
+      endDate.day += 1;
+    }
+
+    return endDate;
+  }
+
+  convertRemindersToGoogle(icsEvent) {
+    if (this.remindersMode === "none") {
+      return { useDefault: false, overrides: [] };
+    }
+    if (this.remindersMode === "calendar-default") {
+      return { useDefault: true };
+    }
+
+    const alarms = icsEvent.component.getAllSubcomponents("valarm");
+    if (alarms.length === 0) {
+      // Leave events without alarms on the calendar's default reminders
+      return null;
+    }
+
+    const overrides = [];
+    for (const alarm of alarms) {
+      const override = this.convertAlarmToGoogle(alarm, icsEvent);
+      if (!override) continue;
+
+      const isDuplicate = overrides.some(
+        (existing) => existing.method === override.method && existing.minutes === override.minutes,
+      );
+      if (!isDuplicate) {
+        overrides.push(override);
+      }
+    }
+
+    overrides.sort((a, b) => a.minutes - b.minutes);
+    if (overrides.length > MAX_REMINDER_OVERRIDES) {
       console.log(
-        `🎨 Mapped color: "${icsColor}" → Google Calendar color ${colorMap[normalizedColor]}`,
+        `⚠️  ${overrides.length} reminders on "${icsEvent.summary}", keeping the ${MAX_REMINDER_OVERRIDES} closest to the start`,
       );
-      return colorMap[normalizedColor];
+      overrides.splice(MAX_REMINDER_OVERRIDES);
+    }
+
+    return { useDefault: false, overrides: overrides };
+  }
+
+  convertAlarmToGoogle(alarm, icsEvent) {
+    const action = (alarm.getFirstPropertyValue("action") || "").toUpperCase();
+    const methodMap = {
+      DISPLAY: "popup",
+      AUDIO: "popup",
+      EMAIL: "email",
+    };
+    const method = methodMap[action];
+    if (!method) {
+      return null;
+    }
+
+    const triggerProp = alarm.getFirstProperty("trigger");
+    const trigger = triggerProp && triggerProp.getFirstValue();
+    if (!trigger || !icsEvent.startDate) {
+      return null;
+    }
+
+    let secondsBeforeStart;
+    if (trigger.toSeconds) {
+      const related = (triggerProp.getParameter("related") || "START").toUpperCase();
+      secondsBeforeStart = -trigger.toSeconds();
+      if (related === "END" && icsEvent.endDate) {
+        secondsBeforeStart -= icsEvent.endDate.subtractDate(icsEvent.startDate).toSeconds();
+      }
+    } else {
+      // Absolute trigger (VALUE=DATE-TIME)
+      secondsBeforeStart =
+        (icsEvent.startDate.toJSDate().getTime() - trigger.toJSDate().getTime()) / 1000;
+    }
+
+    let minutes = Math.round(secondsBeforeStart / 60);
+    if (minutes < 0) {
+      console.log(
+        `⚠️  Skipping reminder ${-minutes} minutes after the start of "${icsEvent.summary}"`,
+      );
+      return null;
+    }
+    if (minutes > MAX_REMINDER_MINUTES) {
+      console.log(
+        `⚠️  Reminder ${minutes} minutes before "${icsEvent.summary}" exceeds 4 weeks, clamping`,
+      );
+      minutes = MAX_REMINDER_MINUTES;
+    }
+
+    return { method: method, minutes: minutes };
+  }
+
+  convertTransp(transp) {
+    const mapping = {
+      OPAQUE: "opaque",
+      TRANSPARENT: "transparent",
+    };
+    return mapping[String(transp || "").toUpperCase()] || null;
+  }
+
+  convertClass(icsClass) {
+    const mapping = {
+      PUBLIC: "public",
+      PRIVATE: "private",
+      CONFIDENTIAL: "confidential",
+    };
+    return mapping[String(icsClass || "").toUpperCase()] || null;
+  }
+
+  convertStatus(status) {
+    const mapping = {
+      CONFIRMED: "confirmed",
+      TENTATIVE: "tentative",
+      CANCELLED: "cancelled",
+    };
+    return mapping[String(status || "").toUpperCase()] || null;
+  }
+
+  mergeAttendee(existing, attendee) {
+    if (existing.displayName === existing.email) {
+      existing.displayName = attendee.displayName;
+    }
+    // Keep the most informative response and the strongest participation
+    if (existing.responseStatus === "needsAction") {
+      existing.responseStatus = attendee.responseStatus;
+    }
+    existing.optional = existing.optional && attendee.optional;
+    if (attendee.resource) existing.resource = true;
+    if (attendee.organizer) existing.organizer = true;
+  }
+
+  convertPartStat(partstat) {
+    const mapping = {
+      ACCEPTED: "accepted",
+      DECLINED: "declined",
+      TENTATIVE: "tentative",
+      "NEEDS-ACTION": "needsAction",
+      // A delegator handed the invitation to someone else and will not attend
+      DELEGATED: "declined",
+    };
+    return mapping[partstat] || "needsAction";
+  }
+
+  convertRecurrenceToGoogle(vevent, isAllDay = false) {
+    const recurrence = [];
+
+    for (const rruleProp of vevent.getAllProperties("rrule")) {
+      const rruleValue = rruleProp.getFirstValue();
+      if (rruleValue) {
+        const rule = this.convertICalRRuleToGoogle(rruleValue, isAllDay);
+        if (rule) {
+          recurrence.push(rule);
+        }
+      }
+    }
+
+    // Without EXDATE, deleted occurrences would reappear after import
+    for (const name of ["rdate", "exdate"]) {
+      for (const prop of vevent.getAllProperties(name)) {
+        const line = this.convertICalDateListToGoogle(prop, isAllDay);
+        if (line) {
+          recurrence.push(line);
+        }
+      }
+    }
+
+    return recurrence;
+  }
+
+  convertICalDateListToGoogle(prop, isAllDay = false) {
+    const name = prop.name.toUpperCase();
+    // RDATE may hold PERIOD values; Google only needs the occurrence start
+    const times = prop
+      .getValues()
+      .map((value) => (value && value.start ? value.start : value))
+      .filter((value) => value && value.toJSDate);
+
+    if (times.length === 0) {
+      return null;
+    }
+
+    if (isAllDay || times.every((time) => time.isDate)) {
+      const dates = times.map((time) =>
+        time.isDate
+          ? this.formatGoogleDate(time).replace(/-/g, "")
+          : time.toJSDate().toISOString().substring(0, 10).replace(/-/g, ""),
+      );
+      return `${name};VALUE=DATE:${dates.join(",")}`;
+    }
+
+    const tzid = prop.getParameter("tzid");
+    if (tzid) {
+      // Keep wall-clock times so occurrences still line up across DST changes
+      const localTimes = times.map((time) =>
+        [
+          String(time.year).padStart(4, "0"),
+          String(time.month).padStart(2, "0"),
+          String(time.day).padStart(2, "0"),
+          "T",
+          String(time.hour).padStart(2, "0"),
+          String(time.minute).padStart(2, "0"),
+          String(time.second).padStart(2, "0"),
+        ].join(""),
+      );
+      return `${name};TZID=${this.normalizeTimeZone(tzid)}:${localTimes.join(",")}`;
+    }
+
+    const utcTimes = times.map((time) => this.formatUTCDateTime(time.toJSDate()));
+    return `${name}:${utcTimes.join(",")}`;
+  }
+
+  formatUTCDateTime(jsDate) {
+    const year = jsDate.getUTCFullYear();
+    const month = String(jsDate.getUTCMonth() + 1).padStart(2, "0");
+    const day = String(jsDate.getUTCDate()).padStart(2, "0");
+    const hour = String(jsDate.getUTCHours()).padStart(2, "0");
+    const minute = String(jsDate.getUTCMinutes()).padStart(2, "0");
+    const second = String(jsDate.getUTCSeconds()).padStart(2, "0");
+    return `${year}${month}${day}T${hour}${minute}${second}Z`;
+  }
+
+  convertICalRRuleToGoogle(rrule, isAllDay = false) {
+    try {
+      let ruleStr = "RRULE:";
+      const parts = [];
+
+      if (rrule.freq) {
+        parts.push(`FREQ=${rrule.freq}`);
+      }
+
+      if (rrule.interval && rrule.interval > 1) {
+        parts.push(`INTERVAL=${rrule.interval}`);
+      }
+
+      if (rrule.until && (rrule.until.isDate || isAllDay)) {
+        // All-day series must use a DATE-valued UNTIL to match their DTSTART
+        const untilDate = rrule.until.isDate
+          ? this.formatGoogleDate(rrule.until)
+          : rrule.until.toJSDate().toISOString().substring(0, 10);
+        parts.push(`UNTIL=${untilDate.replace(/-/g, "")}`);
+      } else if (rrule.until) {
+        // Google Calendar requires UTC format for UNTIL dates
+        parts.push(`UNTIL=${this.formatUTCDateTime(rrule.until.toJSDate())}`);
+      }
+
+      if (rrule.count) {
+        parts.push(`COUNT=${rrule.count}`);
+      }
+
+      const byParts = [
+        ...RRULE_BY_PARTS,
+        // Anything else ical.js parsed is passed through rather than dropped
+        ...Object.keys(rrule.parts || {}).filter((name) => !RRULE_BY_PARTS.includes(name)),
+      ];
+
+      for (const name of byParts) {
+        const values = rrule[name.toLowerCase()] || rrule.parts?.[name];
+        if (!values || values.length === 0) continue;
+
+        const serialized = (Array.isArray(values) ? values : [values])
+          .map((value) => {
+            if (typeof value === "string" || typeof value === "number") {
+              return String(value);
+            } else if (value && value.day) {
+              return value.pos ? `${value.pos}${value.day}` : value.day;
+            }
+            return "";
+          })
+          .filter((value) => value !== "");
+
+        if (serialized.length > 0) {
+          parts.push(`${name}=${serialized.join(",")}`);
+        }
+      }
+
+      // WKST=MO is the RFC 5545 default, so only a different week start changes meaning
+      const wkst =
+        typeof rrule.wkst === "number" ? ICAL.Recur.numericDayToIcalDay(rrule.wkst) : rrule.wkst;
+      if (wkst && wkst !== "MO") {
+        parts.push(`WKST=${wkst}`);
+      }
+
+      const warnings = this.validateRRuleForGoogle(parts);
+      for (const warning of warnings) {
+        console.log(`⚠️  ${warning}`);
+      }
+
+      return parts.length > 0 ? ruleStr + parts.join(";") : null;
+    } catch (error) {
+      console.error("⚠️  Could not convert recurrence rule:", error.message);
+      return null;
+    }
+  }
+
+  validateRRuleForGoogle(parts) {
+    const warnings = [];
+
+    for (const part of parts) {
+      const [name, value] = part.split("=");
+      if (name === "FREQ" && GOOGLE_UNSUPPORTED_FREQS.includes(value)) {
+        warnings.push(`Google Calendar does not support FREQ=${value} recurrences`);
+      } else if (GOOGLE_UNSUPPORTED_RRULE_PARTS.includes(name)) {
+        warnings.push(`Google Calendar does not support ${name} in recurrence rules (${part})`);
+      } else if (name !== "FREQ" && !RRULE_PARTS.includes(name)) {
+        warnings.push(`Unknown recurrence rule part ${part} may be rejected by Google Calendar`);
+      }
+    }
+
+    return warnings;
+  }
+
+  validateEventForGoogle(event, warnings = []) {
+    // Mirrors the checks Google Calendar applies on import, so a dry run can
+    // report failures without credentials. Recurrence rule parts the import
+    // only warns about go to warnings
+    const problems = [];
+
+    if (!event.iCalUID) {
+      problems.push("missing iCalUID");
+    }
+    for (const [field, limit] of Object.entries(GOOGLE_FIELD_LIMITS)) {
+      const value = event[field];
+      if (typeof value === "string" && value.length > limit) {
+        problems.push(`${field} is ${value.length} characters (limit ${limit})`);
+      }
+    }
+
+    const start = this.validateEventTime(event.start, "start", problems);
+    const end = this.validateEventTime(event.end, "end", problems);
+    if (start && end) {
+      if (start.allDay !== end.allDay) {
+        problems.push("start and end must both be dates or both be date-times");
+      } else if (end.time < start.time || (start.allDay && end.time === start.time)) {
+        problems.push("end is not after start");
+      }
+    }
+    if (event.originalStartTime) {
+      this.validateEventTime(event.originalStartTime, "originalStartTime", problems);
+    }
+
+    for (const line of event.recurrence || []) {
+      const match = String(line).match(RECURRENCE_LINE_REGEX);
+      if (!match) {
+        problems.push(`invalid recurrence line "${line}"`);
+      } else if (match[1] === "RRULE" || match[1] === "EXRULE") {
+        const parts = line.slice(match[0].length).split(";");
+        const freq = parts.find((part) => part.startsWith("FREQ="));
+        if (!freq || !RRULE_FREQS.includes(freq.slice(5))) {
+          problems.push(`recurrence rule without a valid FREQ: "${line}"`);
+        }
+        warnings.push(...this.validateRRuleForGoogle(parts));
+      } else if (!/^[^:]*:.+/.test(line)) {
+        problems.push(`invalid recurrence line "${line}"`);
+      }
+    }
+
+    if (event.organizer && !this.isValidEmail(event.organizer.email)) {
+      problems.push(`invalid organizer email "${event.organizer.email}"`);
+    }
+    for (const attendee of event.attendees || []) {
+      if (!this.isValidEmail(attendee.email)) {
+        problems.push(`invalid attendee email "${attendee.email}"`);
+      }
+    }
+
+    if (event.colorId !== undefined) {
+      const colorId = Number(event.colorId);
+      if (!Number.isInteger(colorId) || colorId < 1 || colorId > MAX_COLOR_ID) {
+        problems.push(`colorId "${event.colorId}" is not between 1 and ${MAX_COLOR_ID}`);
+      }
+    }
+
+    const overrides = event.reminders?.overrides || [];
+    if (overrides.length > MAX_REMINDER_OVERRIDES) {
+      problems.push(`${overrides.length} reminders (limit ${MAX_REMINDER_OVERRIDES})`);
+    }
+    for (const override of overrides) {
+      if (!(override.minutes >= 0 && override.minutes <= MAX_REMINDER_MINUTES)) {
+        problems.push(`reminder ${override.minutes} minutes before is out of range`);
+      }
+    }
+
+    return problems;
+  }
+
+  validateEventTime(value, field, problems) {
+    if (!value || (!value.date && !value.dateTime)) {
+      problems.push(`missing ${field}`);
+      return null;
+    }
+
+    if (value.date) {
+      const time = Date.parse(value.date);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value.date) || Number.isNaN(time)) {
+        problems.push(`invalid ${field} date "${value.date}"`);
+        return null;
+      }
+      return { allDay: true, time };
+    }
+
+    const time = Date.parse(value.dateTime);
+    if (Number.isNaN(time)) {
+      problems.push(`invalid ${field} dateTime "${value.dateTime}"`);
+      return null;
+    }
+    if (value.timeZone && !this.isValidTimeZone(value.timeZone)) {
+      problems.push(`unknown ${field} time zone "${value.timeZone}"`);
+    }
+    return { allDay: false, time };
+  }
+
+  isValidTimeZone(timeZone) {
+    // ical.js reports UTC times with the zone "Z"
+    if (timeZone === "Z") return true;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getEventKey(eventData) {
+    // iCalUID alone is shared by a series and its exceptions
+    const originalStart = eventData.originalStartTime;
+    const originalStartKey = originalStart ? originalStart.dateTime || originalStart.date : "";
+    return `${eventData.iCalUID}|${originalStartKey || ""}`;
+  }
+
+  getEventsPath(icsFilePath) {
+    // Events are resolved with the profile's mappings, so each profile has its own
+    return this.profile ? `${icsFilePath}.${this.profile}.jsonl` : `${icsFilePath}.jsonl`;
+  }
+
+  getICSPathForEvents(jsonlPath) {
+    const profileSuffix = `.${this.profile}.jsonl`;
+    if (this.profile && jsonlPath.endsWith(profileSuffix)) {
+      return jsonlPath.slice(0, -profileSuffix.length);
+    }
+    return jsonlPath.replace(/\.jsonl$/, "");
+  }
+
+  getCheckpointPath(icsFilePath) {
+    // Each profile resumes its own import of a shared file
+    return this.profile ? `${icsFilePath}.${this.profile}.position` : `${icsFilePath}.position`;
+  }
+
+  loadCheckpoint(icsFilePath) {
+    const sidecarPath = this.getCheckpointPath(icsFilePath);
+    try {
+      if (fs.existsSync(sidecarPath)) {
+        const content = fs.readFileSync(sidecarPath, "utf8").trim();
+
+        // Older checkpoints stored a bare index into the newest-first order
+        if (/^-?\d+$/.test(content)) {
+          const position = parseInt(content);
+          console.log(
+            `📌 Found checkpoint: Resuming from position ${position + 1} (newest-first order)`,
+          );
+          return { position: position };
+        }
+
+        const checkpoint = JSON.parse(content);
+        console.log(`📌 Found checkpoint: Resuming after event ${checkpoint.eventKey}`);
+        return {
+          eventKey: checkpoint.eventKey,
+          completedKeys: checkpoint.completedKeys || [],
+        };
+      }
+    } catch (error) {
+      console.log("⚠️  Could not load checkpoint, starting from beginning");
+    }
+    return null;
+  }
+
+  saveCheckpoint(icsFilePath, eventKey, completedKeys = []) {
+    const sidecarPath = this.getCheckpointPath(icsFilePath);
+    const checkpoint = { eventKey: eventKey };
+    if (completedKeys.length > 0) {
+      checkpoint.completedKeys = completedKeys;
+    }
+    try {
+      fs.writeFileSync(sidecarPath, JSON.stringify(checkpoint));
+    } catch (error) {
+      console.error("⚠️  Could not save checkpoint:", error.message);
+    }
+  }
+
+  removeCheckpoint(icsFilePath) {
+    const sidecarPath = this.getCheckpointPath(icsFilePath);
+    try {
+      if (fs.existsSync(sidecarPath)) {
+        fs.unlinkSync(sidecarPath);
+        console.log("🧹 Cleaned up checkpoint file");
+      }
+    } catch (error) {
+      console.error("⚠️  Could not remove checkpoint file:", error.message);
+    }
+  }
+
+  async finishImportedEvent(item, response, context) {
+    const { cleanEvent, metadata: _metadata } = item;
+
+    // Update ensures recurrence rules are properly processed by Google Calendar
+    if (_metadata.hasRecurrence && !_metadata.isRecurrenceException) {
+      response = await this.updateEventWithRetry(context.calendarId, response.data.id, cleanEvent);
     }
 
-    // Check for hex color codes and map to closest Google Calendar color
-    if (normalizedColor.startsWith("#")) {
-      const hexColor = normalizedColor.substring(1);
-      if (hexColor.length === 6) {
-        const googleColorId = this.mapHexToGoogleColor(hexColor);
-        if (googleColorId) {
-          console.log(
-            `🎨 Mapped hex color: "${icsColor}" → Google Calendar color ${googleColorId}`,
-          );
-          return googleColorId;
-        }
-      }
+    let eventType = "";
+    if (_metadata.hasRecurrence) {
+      eventType = " 🔁 (RECURRING)";
+    } else if (_metadata.isRecurrenceException) {
+      eventType = " 🔄 (EXCEPTION)";
     }
 
-    // Check for RGB values
-    const rgbMatch = normalizedColor.match(/rgb\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)/);
-    if (rgbMatch) {
-      const [, r, g, b] = rgbMatch;
-      const googleColorId = this.mapRgbToGoogleColor(parseInt(r), parseInt(g), parseInt(b));
-      if (googleColorId) {
-        console.log(`🎨 Mapped RGB color: "${icsColor}" → Google Calendar color ${googleColorId}`);
-        return googleColorId;
+    console.log(`✅ Imported: ${cleanEvent.summary}${eventType}`);
+    console.log(
+      `   📧 Organizer: ${cleanEvent.organizer?.displayName || "None"} (${cleanEvent.organizer?.email || "No email"})`,
+    );
+    console.log(`   👥 Attendees: ${cleanEvent.attendees?.length || 0}`);
+    if (_metadata.hasRecurrence) {
+      for (const rule of cleanEvent.recurrence) {
+        console.log(`   🔁 Recurrence: ${rule}`);
+      }
+    }
+    if (_metadata.isRecurrenceException) {
+      console.log(`   🔄 Exception to recurring event: ${cleanEvent.iCalUID}`);
+      if (cleanEvent.originalStartTime) {
+        console.log(
+          `   📅 Original time: ${cleanEvent.originalStartTime.dateTime || cleanEvent.originalStartTime.date}`,
+        );
       }
     }
 
-    console.log(`⚠️  Unknown color format: "${icsColor}", using default`);
-    return null;
+    context.progress.successCount++;
+    this.markEventComplete(item, context);
+    return response;
   }
 
-  mapHexToGoogleColor(hex) {
-    // Convert hex to RGB
-    const r = parseInt(hex.substring(0, 2), 16);
-    const g = parseInt(hex.substring(2, 4), 16);
-    const b = parseInt(hex.substring(4, 6), 16);
-    return this.mapRgbToGoogleColor(r, g, b);
+  markEventComplete(item, context) {
+    const { progress, tracking } = context;
+
+    if (!tracking) {
+      progress.lastKey = item.eventKey;
+      this.saveCheckpoint(context.icsFilePath, item.eventKey, [...progress.completedKeys]);
+      return;
+    }
+
+    // The checkpoint advances only past a contiguous run of finished events
+    // (the low-water mark); anything finished beyond it is listed separately
+    item.done = true;
+    tracking.finishedAhead.add(item.eventKey);
+    const { order } = tracking;
+    while (tracking.orderStart < order.length && order[tracking.orderStart].done) {
+      const eventKey = order[tracking.orderStart++].eventKey;
+      tracking.finishedAhead.delete(eventKey);
+      progress.lastKey = eventKey;
+    }
+    // Drop the passed events in bulk rather than shifting on every completion
+    if (tracking.orderStart > 1000 && tracking.orderStart * 2 > order.length) {
+      order.splice(0, tracking.orderStart);
+      tracking.orderStart = 0;
+    }
+
+    // Many workers finish events faster than the file can be rewritten, so
+    // write at most once per interval; a fatal error writes the rest
+    if (Date.now() - tracking.checkpointSavedAt >= this.checkpointIntervalMs) {
+      this.saveTrackedCheckpoint(context);
+    }
   }
 
-  mapRgbToGoogleColor(r, g, b) {
-    // Google Calendar colors (more accurate RGB values)
-    const googleColors = [
-      { id: "1", r: 121, g: 134, b: 203 }, // Lavender (light blue/purple)
-      { id: "2", r: 51, g: 182, b: 121 }, // Sage (teal/green)
-      { id: "3", r: 142, g: 36, b: 170 }, // Grape (purple)
-      { id: "4", r: 230, g: 124, b: 115 }, // Flamingo (pink/salmon)
-      { id: "5", r: 246, g: 191, b: 38 }, // Banana (yellow)
-      { id: "6", r: 255, g: 109, b: 1 }, // Tangerine (orange)
-      { id: "7", r: 121, g: 85, b: 72 }, // Cocoa (brown)
-      { id: "8", r: 97, g: 97, b: 97 }, // Graphite (gray)
-      { id: "9", r: 51, g: 133, b: 255 }, // Blueberry (blue) - corrected for better blue matching
-      { id: "10", r: 51, g: 182, b: 121 }, // Basil (green)
-      { id: "11", r: 217, g: 48, b: 37 }, // Tomato (red)
-    ];
+  saveTrackedCheckpoint(context) {
+    const { progress, tracking } = context;
+    tracking.checkpointSavedAt = Date.now();
+    this.saveCheckpoint(context.icsFilePath, progress.lastKey, [
+      ...progress.completedKeys,
+      ...tracking.finishedAhead,
+    ]);
+  }
 
-    // Find the closest color using Euclidean distance
-    let closestColor = null;
-    let minDistance = Infinity;
+  markMasterImported(eventData, context) {
+    const metadata = eventData._metadata || {};
+    if (!metadata.hasRecurrence || metadata.isRecurrenceException) {
+      return;
+    }
+    if (context.concurrent) {
+      context.concurrent.masters.set(eventData.iCalUID, "done");
+    }
+    if (context.batch) {
+      context.batch.masters.add(eventData.iCalUID);
+      const exceptions = context.batch.waiting.get(eventData.iCalUID);
+      if (exceptions) {
+        context.batch.waiting.delete(eventData.iCalUID);
+        context.batch.released.push(...exceptions);
+      }
+    }
+  }
 
-    for (const color of googleColors) {
-      const distance = Math.sqrt(
-        Math.pow(r - color.r, 2) + Math.pow(g - color.g, 2) + Math.pow(b - color.b, 2),
-      );
+  async scheduleConcurrentImport(item, context) {
+    const concurrent = context.concurrent;
+    const uid = item.cleanEvent.iCalUID;
 
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestColor = color;
+    // Google needs the series before its exceptions, so hold exceptions back
+    // until their master has been imported
+    if (item.metadata.isRecurrenceException && concurrent.masters.get(uid) !== "done") {
+      if (!concurrent.waiting.has(uid)) {
+        concurrent.waiting.set(uid, []);
+      }
+      concurrent.waiting.get(uid).push(item);
+    } else {
+      if (item.metadata.hasRecurrence && !item.metadata.isRecurrenceException) {
+        concurrent.masters.set(uid, "inFlight");
       }
+      concurrent.ready.push(item);
     }
 
-    return closestColor ? closestColor.id : null;
+    await this.drainConcurrentImports(context, this.concurrency);
   }
 
-  async updateEventWithRetry(calendarId, eventId, eventResource, maxRetries = 3) {
-    let lastError = null;
+  async drainConcurrentImports(context, limit) {
+    const concurrent = context.concurrent;
+    this.startConcurrentImports(context);
+    while (concurrent.inFlight.size >= limit) {
+      await Promise.race(concurrent.inFlight);
+      this.startConcurrentImports(context);
+    }
+  }
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`🔄 Update attempt ${attempt}/${maxRetries} for event ${eventId}`);
+  startConcurrentImports(context) {
+    const concurrent = context.concurrent;
 
-        // Fetch the current event to get the latest sequence number
-        const currentEvent = await this.calendar.events.get({
-          calendarId: calendarId,
-          eventId: eventId,
-        });
+    while (concurrent.inFlight.size < this.concurrency && concurrent.ready.length > 0) {
+      const item = concurrent.ready.shift();
+      const task = this.runConcurrentImport(item, context).finally(() => {
+        concurrent.inFlight.delete(task);
+      });
+      concurrent.inFlight.add(task);
+    }
+  }
 
-        // Use the current sequence number (or increment it)
-        const currentSequence = currentEvent.data.sequence || 0;
-        const newSequence = currentSequence + 1;
-        console.log(`📊 Current sequence: ${currentSequence}, using: ${newSequence}`);
+  async runConcurrentImport(item, context) {
+    const { cleanEvent, metadata } = item;
+    const concurrent = context.concurrent;
+    let failed = false;
 
-        const updatedResource = {
-          ...eventResource,
-          sequence: newSequence,
-        };
+    try {
+      if (this.sync) {
+        if (await this.syncExistingEvent(item, context)) {
+          this.markEventComplete(item, context);
+          return;
+        }
+      } else if (this.checkDuplicates) {
+        const exists = await this.checkEventExists(cleanEvent, context.calendarId);
+        if (exists) {
+          console.log(`⏭️  Skipped (exists): ${cleanEvent.summary}`);
+          context.progress.skippedCount++;
+          this.markEventComplete(item, context);
+          return;
+        }
+      }
 
-        const response = await this.calendar.events.update({
-          calendarId: calendarId,
-          eventId: eventId,
-          supportsAttendees: true,
-          resource: updatedResource,
-        });
+      const response = await this.importEvent(context.calendarId, cleanEvent);
+      await this.finishImportedEvent(item, response, context);
+    } catch (eventError) {
+      failed = true;
+      this.handleImportError(eventError, item, context);
+      // Only reached when the error is skipped rather than fatal
+      this.markEventComplete(item, context);
+    } finally {
+      if (metadata.hasRecurrence && !metadata.isRecurrenceException) {
+        // Release the exceptions even if the master failed; Google will
+        // report them individually
+        concurrent.masters.set(cleanEvent.iCalUID, "done");
+        const exceptions = concurrent.waiting.get(cleanEvent.iCalUID) || [];
+        concurrent.waiting.delete(cleanEvent.iCalUID);
+        concurrent.ready.push(...exceptions);
+        if (failed && exceptions.length > 0) {
+          console.log(`⚠️  Importing ${exceptions.length} exception(s) of a failed series anyway`);
+        }
+      }
+    }
+  }
 
-        return response;
-      } catch (error) {
-        lastError = error;
-        const errorMessage = error.message || "";
-        const errorCode = error.code || "";
-        const statusCode = error.response?.status || "";
+  handleImportError(eventError, item, context) {
+    const { eventData } = item;
+    // The event was not imported, so release its claim on the index
+    this.eventIndex?.delete(this.getIndexKey(item.cleanEvent));
+    const errorMessage = eventError.message || "Unknown error";
+    const eventSummary = eventData.summary || "Untitled Event";
+    const eventUID = eventData.iCalUID || "Unknown UID";
+    console.error(
+      `❌ Failed to import event at line ${item.lineNumber} of ${context.jsonlPath}: ${errorMessage}`,
+    );
+    console.error(`   📝 Event: "${eventSummary}" (UID: ${eventUID})`);
+
+    // Check if this is a sequence-related error that already went through retry logic
+    if (this.isSequenceError(eventError)) {
+      console.error("   🔄 This is a sequence/conflict error:");
+      console.error("      - Retry logic was attempted but all attempts failed");
+      console.error("      - The event may be in rapid flux or there's a persistent conflict");
+      console.error("      - Skipping this event and continuing with import...");
+      return; // Skip this event and continue instead of exiting
+    } else if (errorMessage.includes("Bad Request")) {
+      console.error("   🔍 This might be due to:");
+      console.error("      - Invalid date/time format");
+      console.error("      - Missing required fields");
+      console.error("      - Recurring event issues");
+      console.error("      - Invalid attendee email addresses");
+    } else if (errorMessage.includes("Forbidden")) {
+      console.error("   🔒 This might be due to:");
+      console.error("      - Insufficient permissions on the target calendar");
+      console.error("      - Event already exists in a calendar you cannot modify");
+      console.error("      - Calendar API quota exceeded");
+      console.error("      - Event organizer restrictions");
+    }
 
-        console.log(`🔍 Error on attempt ${attempt}:`);
-        console.log(`   Message: ${errorMessage}`);
-        console.log(`   Code: ${errorCode}`);
-        console.log(`   Status: ${statusCode}`);
+    if (eventData) {
+      console.error("📄 Event data:", JSON.stringify(eventData, null, 2));
+    }
 
-        const isSequenceError = this.isSequenceError(error);
+    if (this.skipErrors) {
+      console.error("⚠️  Skipping this event and continuing...");
+    } else {
+      if (context.tracking) {
+        this.saveTrackedCheckpoint(context);
+      }
+      console.error("\n🛑 Import stopped. To skip failed events and continue, set SKIP_ERRORS=1");
+      process.exit(1);
+    }
+  }
 
-        if (isSequenceError && attempt < maxRetries) {
-          console.log(
-            `⚠️  Sequence/conflict error detected on attempt ${attempt}/${maxRetries}, waiting 2s then retrying...`,
-          );
-          // Wait before retrying to allow any pending operations to complete
-          await new Promise((resolve) => setTimeout(resolve, 2000));
-          continue;
+  importEvent(calendarId, event) {
+    return this.callCalendarApi("events.import", () =>
+      this.calendar.events.import({
+        calendarId: calendarId,
+        supportsAttendees: true,
+        resource: event,
+      }),
+    );
+  }
+
+  async callCalendarApi(operation, request, cost = 1) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquireRateLimitToken(cost);
+
+      try {
+        return await request();
+      } catch (error) {
+        const reason = this.getRetryReason(error);
+        if (!reason || attempt >= this.maxRetries) {
+          throw error;
         }
 
+        const delay = this.getRetryDelay(error, attempt);
+        this.retryStats.retries++;
+        this.retryStats.waitedMs += delay;
+        this.retryStats.byReason[reason] = (this.retryStats.byReason[reason] || 0) + 1;
+
         console.log(
-          `❌ ${isSequenceError ? "Sequence error - no more retries" : "Non-sequence error"} on attempt ${attempt}`,
+          `⏳ ${operation} failed (${reason}), retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1}/${this.maxRetries})`,
         );
-        // If it's not a sequence error or we've exhausted retries, throw the error
-        throw error;
+        await this.sleep(delay);
       }
     }
-
-    // This should never be reached, but just in case
-    throw lastError || new Error("All retry attempts failed");
   }
 
-  convertICSToGoogleEvent(icsEvent) {
-    const recurrenceIdProp = icsEvent.component.getFirstProperty("recurrence-id");
-    const isRecurrenceException = !!recurrenceIdProp;
+  async acquireRateLimitToken(cost = 1) {
+    if (!this.rateLimit || this.rateLimit <= 0) return;
 
-    // If this is a recurring event instance (contains _R followed by date),
-    // skip it - we'll import the main recurring event instead
-    if (icsEvent.uid && !isRecurrenceException) {
-      const recurringMatch = icsEvent.uid.match(/^(.+)_R\d{8}T?\d*(@.+)?$/);
-      if (recurringMatch) {
-        console.log(`   ⏭️  Skipping recurring event instance: ${icsEvent.summary}`);
-        return null; // Signal to skip this event
-      }
+    // Token bucket holding one second of requests; a cost larger than the
+    // bucket (a big batch) goes into debt and waits for it to refill
+    const now = Date.now();
+    if (this.rateLimitTokens === null) {
+      this.rateLimitTokens = this.rateLimit;
+    } else {
+      const elapsedSeconds = (now - this.rateLimitRefilledAt) / 1000;
+      this.rateLimitTokens = Math.min(
+        this.rateLimit,
+        this.rateLimitTokens + elapsedSeconds * this.rateLimit,
+      );
     }
+    this.rateLimitRefilledAt = now;
+    this.rateLimitTokens -= cost;
 
-    // Preserve original UID to maintain connections for RSVPs and updates
-    const iCalUID =
-      icsEvent.uid || `imported-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-    if (isRecurrenceException) {
-      console.log(`🔄 Processing recurrence exception for: ${icsEvent.summary}`);
+    if (this.rateLimitTokens < 0) {
+      await this.sleep((-this.rateLimitTokens / this.rateLimit) * 1000);
     }
+  }
 
-    const event = {
-      summary: icsEvent.summary,
-      description: icsEvent.description || "",
-      location: icsEvent.location || "",
-      iCalUID: iCalUID,
-    };
+  getRetryReason(error) {
+    if (!error) return null;
 
-    // Handle color information from ICS
-    const colorProp =
-      icsEvent.component.getFirstProperty("color") ||
-      icsEvent.component.getFirstProperty("x-apple-calendar-color") ||
-      icsEvent.component.getFirstProperty("x-outlook-color") ||
-      icsEvent.component.getFirstProperty("x-microsoft-cdo-busystatus-color");
+    const status = Number(error.response?.status || error.code) || 0;
+    const apiErrors = error.errors || error.response?.data?.error?.errors || [];
+    const reason = apiErrors.map((apiError) => apiError.reason).find((r) => r);
 
-    if (colorProp) {
-      const icsColor = colorProp.getFirstValue();
-      const googleColorId = this.mapColorToGoogleCalendar(icsColor);
-      if (googleColorId) {
-        event.colorId = googleColorId;
-      }
+    if (status === 429) {
+      return reason || "rateLimitExceeded";
     }
-
-    if (isRecurrenceException) {
-      const recurrenceId = recurrenceIdProp.getFirstValue();
-      if (recurrenceId) {
-        event.originalStartTime = {
-          dateTime: recurrenceId.toJSDate().toISOString(),
-          timeZone: this.normalizeTimeZone(recurrenceId.timezone),
-        };
-      }
-      // Mark for special handling during import
-      event._isRecurrenceException = true;
+    if (status === 403 && RATE_LIMIT_REASONS.includes(reason)) {
+      return reason;
     }
-
-    if (icsEvent.startDate) {
-      event.start = {
-        dateTime: icsEvent.startDate.toJSDate().toISOString(),
-        timeZone: this.normalizeTimeZone(icsEvent.startDate.timezone),
-      };
+    if (status >= 500 && status <= 599) {
+      return `http${status}`;
     }
-
-    if (icsEvent.endDate) {
-      event.end = {
-        dateTime: icsEvent.endDate.toJSDate().toISOString(),
-        timeZone: this.normalizeTimeZone(icsEvent.endDate.timezone),
-      };
+    if (RETRYABLE_NETWORK_CODES.includes(error.code)) {
+      return error.code;
     }
+    return null;
+  }
 
-    const rruleProp = icsEvent.component.getFirstProperty("rrule");
-    if (rruleProp) {
-      const rruleValue = rruleProp.getFirstValue();
-      if (rruleValue) {
-        const recurrence = this.convertICalRRuleToGoogle(rruleValue);
-        if (recurrence) {
-          event.recurrence = [recurrence];
-        }
+  getRetryDelay(error, attempt) {
+    const headers = error.response?.headers;
+    const retryAfter = headers?.get ? headers.get("retry-after") : headers?.["retry-after"];
+
+    if (retryAfter) {
+      // Retry-After is either a number of seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (delay >= 0) {
+        return Math.min(delay, RETRY_MAX_DELAY_MS);
       }
     }
 
-    // Handle organizer using email aliases or name mappings
-    const organizerProp = icsEvent.component.getFirstProperty("organizer");
-    if (organizerProp) {
-      const originalEmail = this.extractEmail(organizerProp.getFirstValue());
-      const organizerName = organizerProp.getParameter("cn");
+    const backoff = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempt), RETRY_MAX_DELAY_MS);
+    return backoff + Math.random() * RETRY_BASE_DELAY_MS;
+  }
 
-      let finalEmail = null;
-      let finalName = organizerName;
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
 
-      if (originalEmail) {
-        finalEmail = this.emailAliases[originalEmail] || originalEmail;
-      } else if (organizerName) {
-        finalEmail = this.nameToEmail[organizerName];
-        if (!finalEmail) {
-          console.log(`⚠️  No email mapping found for organizer "${organizerName}"`);
-          return event; // Safer to skip organizer than fail entire event
+  async queueBatchImports(items, context) {
+    const batch = context.batch;
+
+    for (const item of items) {
+      const uid = item.cleanEvent.iCalUID;
+      // Google runs the parts of a batch in any order, so an exception waits
+      // until its master has been read and never shares a batch with it
+      if (item.metadata.isRecurrenceException) {
+        if (!batch.masters.has(uid)) {
+          if (!batch.waiting.has(uid)) {
+            batch.waiting.set(uid, []);
+          }
+          batch.waiting.get(uid).push(item);
+          continue;
+        }
+        const masterPending = batch.pending.some(
+          (other) => other.cleanEvent.iCalUID === uid && !other.metadata.isRecurrenceException,
+        );
+        if (masterPending) {
+          await this.flushBatch(context);
         }
       }
 
-      if (finalEmail) {
-        event.organizer = {
-          email: finalEmail,
-          displayName: finalName || finalEmail,
-        };
+      batch.pending.push(item);
+      if (batch.pending.length >= this.batchSize) {
+        await this.flushBatch(context);
       }
     }
+  }
 
-    // Handle attendees using email aliases or name mappings
-    const attendeeProps = icsEvent.component.getAllProperties("attendee");
-    if (attendeeProps && attendeeProps.length > 0) {
-      event.attendees = [];
+  async flushBatch(context) {
+    const items = context.batch.pending;
+    context.batch.pending = [];
+    if (items.length > 0) {
+      await this.importEventBatch(items, context);
+    }
+  }
 
-      for (const attendeeProp of attendeeProps) {
-        const originalEmail = this.extractEmail(attendeeProp.getFirstValue());
-        const attendeeName = attendeeProp.getParameter("cn");
-        const partstat = attendeeProp.getParameter("partstat");
+  async importEventBatch(items, context) {
+    let results;
+    try {
+      results = await this.batchImportEvents(
+        context.calendarId,
+        items.map((item) => item.cleanEvent),
+      );
+    } catch (batchError) {
+      // The whole batch request failed, so every event in it failed the same way
+      results = items.map(() => ({ error: batchError }));
+    }
 
-        let finalEmail = null;
-        let finalName = attendeeName;
+    let fatal = null;
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const result = results[index];
 
-        if (originalEmail) {
-          finalEmail = this.emailAliases[originalEmail] || originalEmail;
-        } else if (attendeeName) {
-          finalEmail = this.nameToEmail[attendeeName];
-          if (!finalEmail) {
-            console.log(`⚠️  No email mapping found for attendee "${attendeeName}", skipping`);
-            continue; // Skip individual attendee rather than fail entire event
-          }
+      try {
+        let response = { data: result.data };
+        if (result.error && this.getRetryReason(result.error)) {
+          // Throttled or transient failures inside a batch are retried on their own
+          response = await this.importEvent(context.calendarId, item.cleanEvent);
+        } else if (result.error) {
+          throw result.error;
         }
-
-        if (finalEmail) {
-          event.attendees.push({
-            email: finalEmail,
-            displayName: finalName || finalEmail,
-            responseStatus: this.convertPartStat(partstat),
-            optional: false,
-          });
+        await this.finishImportedEvent(item, response, context);
+      } catch (eventError) {
+        if (!this.skipErrors && !this.isSequenceError(eventError)) {
+          // Later events in this batch are already in Google Calendar, so
+          // finish them before stopping; the checkpoint then lists them
+          fatal = fatal || { eventError, item };
+          continue;
         }
+        this.handleImportError(eventError, item, context);
+        this.markEventComplete(item, context);
       }
+    }
 
-      if (event.attendees.length === 0) {
-        delete event.attendees;
+    if (fatal) {
+      this.handleImportError(fatal.eventError, fatal.item, context);
+    }
+  }
+
+  async batchImportEvents(calendarId, events) {
+    const boundary = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const importPath = `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events/import`;
+
+    const body =
+      events
+        .map((event, index) =>
+          [
+            `--${boundary}`,
+            "Content-Type: application/http",
+            `Content-ID: <item-${index}>`,
+            "",
+            `POST ${importPath}?supportsAttendees=true`,
+            "Content-Type: application/json; charset=UTF-8",
+            "",
+            JSON.stringify(event),
+          ].join("\r\n"),
+        )
+        .join("\r\n") + `\r\n--${boundary}--`;
+
+    // Every call inside a batch counts against the quota separately
+    const response = await this.callCalendarApi(
+      "batch",
+      () =>
+        this.oauth2Client.request({
+          url: BATCH_ENDPOINT,
+          method: "POST",
+          headers: { "Content-Type": `multipart/mixed; boundary=${boundary}` },
+          body: body,
+          responseType: "text",
+        }),
+      events.length,
+    );
+
+    const parts = this.parseBatchResponse(response.headers["content-type"], response.data);
+
+    return events.map((_, index) => {
+      const part = parts.get(index);
+      if (!part) {
+        return { error: new Error(`No response for batch item ${index}`) };
+      }
+      if (part.status >= 200 && part.status < 300) {
+        return { data: part.data };
+      }
+      return { error: this.createBatchError(part) };
+    });
+  }
+
+  parseBatchResponse(contentType, body) {
+    const boundaryMatch = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || "");
+    if (!boundaryMatch) {
+      throw new Error("Batch response is missing a multipart boundary");
+    }
+    const boundary = boundaryMatch[1] || boundaryMatch[2];
+
+    const parts = new Map();
+    for (const part of String(body).split(`--${boundary}`)) {
+      const contentIdMatch = /Content-ID:\s*<response-item-(\d+)>/i.exec(part);
+      const statusMatch = /HTTP\/[\d.]+\s+(\d{3})\s*([^\r\n]*)/.exec(part);
+      if (!contentIdMatch || !statusMatch) continue;
+
+      // The JSON body follows the blank line after the inner HTTP headers
+      const afterStatus = part.substring(statusMatch.index);
+      const bodyMatch = /\r?\n\r?\n([\s\S]*)$/.exec(afterStatus);
+      let data = null;
+      if (bodyMatch && bodyMatch[1].trim()) {
+        try {
+          data = JSON.parse(bodyMatch[1].trim());
+        } catch (error) {
+          data = null;
+        }
       }
+
+      parts.set(parseInt(contentIdMatch[1]), {
+        status: parseInt(statusMatch[1]),
+        statusText: statusMatch[2].trim(),
+        data: data,
+      });
     }
 
-    return event;
+    return parts;
   }
 
-  convertPartStat(partstat) {
-    const mapping = {
-      ACCEPTED: "accepted",
-      DECLINED: "declined",
-      TENTATIVE: "tentative",
-      "NEEDS-ACTION": "needsAction",
-    };
-    return mapping[partstat] || "needsAction";
+  createBatchError(part) {
+    // Shaped like the googleapis errors so the usual error classification applies
+    const apiError = part.data?.error;
+    const error = new Error(apiError?.message || part.statusText || `HTTP ${part.status}`);
+    error.code = part.status;
+    error.errors = apiError?.errors;
+    error.response = { status: part.status, data: part.data };
+    return error;
   }
 
-  convertICalRRuleToGoogle(rrule) {
+  async authenticateOnly() {
     try {
-      let ruleStr = "RRULE:";
-      const parts = [];
+      console.log("🔐 AUTH MODE: Generating authorization tokens\n");
 
-      if (rrule.freq) {
-        parts.push(`FREQ=${rrule.freq}`);
-      }
+      this.loadCredentials();
 
-      if (rrule.interval && rrule.interval > 1) {
-        parts.push(`INTERVAL=${rrule.interval}`);
+      const hasTokens = await this.loadSavedTokens();
+      if (this.serviceAccount) {
+        console.log("✅ Service account credentials work; no tokens file is needed");
+      } else if (!hasTokens) {
+        await this.authorize();
+        console.log(`✅ Authorization tokens saved to ${this.paths.tokens}`);
+      } else {
+        console.log(`✅ Valid authorization tokens already exist in ${this.paths.tokens}`);
       }
+    } catch (error) {
+      console.error("❌ Authentication failed:", error.message);
+      process.exit(1);
+    }
+  }
 
-      if (rrule.until) {
-        // Google Calendar requires UTC format for UNTIL dates
-        const untilDate = rrule.until.toJSDate();
-        const year = untilDate.getUTCFullYear();
-        const month = String(untilDate.getUTCMonth() + 1).padStart(2, "0");
-        const day = String(untilDate.getUTCDate()).padStart(2, "0");
-        const hour = String(untilDate.getUTCHours()).padStart(2, "0");
-        const minute = String(untilDate.getUTCMinutes()).padStart(2, "0");
-        const second = String(untilDate.getUTCSeconds()).padStart(2, "0");
-        parts.push(`UNTIL=${year}${month}${day}T${hour}${minute}${second}Z`);
-      }
+  async showAuthStatus() {
+    try {
+      this.loadCredentials();
 
-      if (rrule.count) {
-        parts.push(`COUNT=${rrule.count}`);
+      if (this.serviceAccount) {
+        await this.authorizeServiceAccount();
+        const { expiry_date } = this.oauth2Client.credentials;
+        console.log("🔐 AUTH STATUS");
+        console.log(`   🤖 Service account: ${this.oauth2Client.email}`);
+        console.log(`   👤 Account: ${this.impersonate || this.oauth2Client.email}`);
+        console.log(`   🔑 Scopes: ${CALENDAR_SCOPE}`);
+        console.log(`   ⏰ Access token expires: ${new Date(expiry_date).toISOString()}`);
+        return;
       }
 
-      const byday = rrule.byday || rrule.parts?.BYDAY;
-      if (byday && byday.length > 0) {
-        const days = byday
-          .map((day) => {
-            if (typeof day === "string") {
-              return day;
-            } else if (day.day) {
-              return day.pos ? `${day.pos}${day.day}` : day.day;
-            }
-            return "";
-          })
-          .filter((d) => d);
-        if (days.length > 0) {
-          parts.push(`BYDAY=${days.join(",")}`);
-        }
+      if (!fs.existsSync(this.paths.tokens)) {
+        console.log(`❌ Not authorized: ${this.paths.tokens} does not exist`);
+        console.log("   Run: node ics-import.js auth");
+        process.exit(1);
       }
 
-      const bymonthday = rrule.bymonthday || rrule.parts?.BYMONTHDAY;
-      if (bymonthday && bymonthday.length > 0) {
-        parts.push(`BYMONTHDAY=${bymonthday.join(",")}`);
-      }
+      const tokens = JSON.parse(fs.readFileSync(this.paths.tokens, "utf8"));
+      this.oauth2Client.setCredentials(tokens);
 
-      const bymonth = rrule.bymonth || rrule.parts?.BYMONTH;
-      if (bymonth && bymonth.length > 0) {
-        parts.push(`BYMONTH=${bymonth.join(",")}`);
+      let info;
+      try {
+        const { token } = await this.oauth2Client.getAccessToken();
+        info = await this.oauth2Client.getTokenInfo(token);
+      } catch (error) {
+        if (this.isRevokedGrantError(error)) {
+          console.log("❌ Saved authorization was revoked or has expired");
+          console.log("   Run: node ics-import.js auth");
+          process.exit(1);
+        }
+        throw error;
       }
 
-      return parts.length > 0 ? ruleStr + parts.join(";") : null;
+      // The calendar scope does not include the email address, but the primary
+      // calendar ID is the account's address
+      this.calendar = google.calendar({ version: "v3", auth: this.oauth2Client });
+      const primary = await this.callCalendarApi("calendarList.get", () =>
+        this.calendar.calendarList.get({ calendarId: "primary" }),
+      );
+
+      console.log("🔐 AUTH STATUS");
+      console.log(`   👤 Account: ${primary.data.id}`);
+      console.log(`   🔑 Scopes: ${(info.scopes || []).join(", ") || "None"}`);
+      console.log(`   ⏰ Access token expires: ${new Date(info.expiry_date).toISOString()}`);
+      console.log(`   🔄 Refresh token: ${tokens.refresh_token ? "saved" : "missing"}`);
     } catch (error) {
-      console.error("⚠️  Could not convert recurrence rule:", error.message);
-      return null;
+      console.error("❌ Could not check authorization:", error.message);
+      process.exit(1);
     }
   }
 
-  loadCheckpoint(icsFilePath) {
-    const sidecarPath = `${icsFilePath}.position`;
+  async revokeAuthorization() {
     try {
-      if (fs.existsSync(sidecarPath)) {
-        const position = parseInt(fs.readFileSync(sidecarPath, "utf8").trim());
-        console.log(
-          `📌 Found checkpoint: Resuming from position ${position + 1} (newest-first order)`,
-        );
-        return position;
+      this.loadCredentials();
+
+      if (this.serviceAccount) {
+        console.log("ℹ️  Service accounts keep no grant to revoke here");
+        console.log("   Delete the key in Google Cloud Console to stop it working");
+        return;
       }
-    } catch (error) {
-      console.log("⚠️  Could not load checkpoint, starting from beginning");
-    }
-    return -1;
-  }
 
-  saveCheckpoint(icsFilePath, position) {
-    const sidecarPath = `${icsFilePath}.position`;
-    try {
-      fs.writeFileSync(sidecarPath, position.toString());
-    } catch (error) {
-      console.error("⚠️  Could not save checkpoint:", error.message);
-    }
-  }
+      if (!fs.existsSync(this.paths.tokens)) {
+        console.log(`ℹ️  Nothing to revoke: ${this.paths.tokens} does not exist`);
+        return;
+      }
 
-  removeCheckpoint(icsFilePath) {
-    const sidecarPath = `${icsFilePath}.position`;
-    try {
-      if (fs.existsSync(sidecarPath)) {
-        fs.unlinkSync(sidecarPath);
-        console.log("🧹 Cleaned up checkpoint file");
+      const tokens = JSON.parse(fs.readFileSync(this.paths.tokens, "utf8"));
+      // Revoking the refresh token also invalidates its access tokens
+      const token = tokens.refresh_token || tokens.access_token;
+      try {
+        await this.oauth2Client.revokeToken(token);
+        console.log("✅ Authorization revoked with Google");
+      } catch (error) {
+        console.log(`⚠️  Google did not accept the revocation (${error.message})`);
+        console.log("   The grant may already be revoked or expired");
       }
+
+      fs.unlinkSync(this.paths.tokens);
+      console.log(`🗑️  Removed ${this.paths.tokens}`);
     } catch (error) {
-      console.error("⚠️  Could not remove checkpoint file:", error.message);
+      console.error("❌ Failed to revoke authorization:", error.message);
+      process.exit(1);
     }
   }
 
-  async authenticateOnly() {
-    try {
-      console.log("🔐 AUTH MODE: Generating authorization tokens\n");
+  async validateJSONLFile(jsonlPath) {
+    console.log("🔎 DRY RUN: Validating events without contacting Google Calendar\n");
 
-      this.loadCredentials();
+    let lineNumber = 0;
+    let invalidCount = 0;
+    for await (const line of this.readJSONL(jsonlPath)) {
+      lineNumber++;
+      let event;
+      let problems;
+      const warnings = [];
+      try {
+        event = JSON.parse(line);
+        problems = this.validateEventForGoogle(event, warnings);
+      } catch (error) {
+        event = {};
+        problems = [`not valid JSON: ${error.message}`];
+      }
 
-      const hasTokens = await this.loadSavedTokens();
-      if (!hasTokens) {
-        await this.authorize();
-        console.log("✅ Authorization tokens saved to data/tokens.json");
+      const label = event.summary || event.iCalUID || "(untitled)";
+      if (problems.length === 0) {
+        console.log(`✅ Line ${lineNumber}: ${label}`);
       } else {
-        console.log("✅ Valid authorization tokens already exist in data/tokens.json");
+        invalidCount++;
+        console.log(`❌ Line ${lineNumber}: ${label}`);
+        for (const problem of problems) {
+          console.log(`   - ${problem}`);
+        }
+      }
+      for (const warning of warnings) {
+        console.log(`   ⚠️  ${warning}`);
       }
-    } catch (error) {
-      console.error("❌ Authentication failed:", error.message);
-      process.exit(1);
     }
+
+    console.log(`\n📊 Dry run complete: ${lineNumber} event(s) checked`);
+    console.log(`   ✅ ${lineNumber - invalidCount} would import`);
+    console.log(`   ❌ ${invalidCount} would fail`);
+    return invalidCount;
   }
 
   async processJSONLFile(jsonlPath, icsFilePath, calendarId = "primary") {
@@ -995,147 +3730,238 @@ class CalendarImporter {
         await this.authorize();
       }
 
+      if (this.prune || this.pruneDryRun) {
+        await this.pruneCalendar(jsonlPath, icsFilePath, calendarId, this.pruneDryRun);
+        if (this.pruneDryRun) return;
+      }
+
+      if (this.checkDuplicates && !this.sync) {
+        try {
+          await this.loadEventIndex(calendarId);
+        } catch (error) {
+          if (this.getLookupErrorKind(error) !== "transient") throw error;
+          console.log(`⚠️  Could not build the duplicate index (${error.message})`);
+          console.log("   Checking each event with its own lookup instead");
+        }
+      }
+
       console.log(`📅 Processing events from: ${jsonlPath}`);
 
-      const jsonlContent = fs.readFileSync(jsonlPath, "utf8");
-      const events = jsonlContent
-        .split("\n")
-        .filter((line) => line.trim())
-        .map((line) => JSON.parse(line));
+      const checkpoint = this.loadCheckpoint(icsFilePath);
 
-      console.log(`Found ${events.length} event(s) to process`);
-      if (this.checkDuplicates) {
+      // First pass only counts events and confirms the checkpoint event still exists
+      let totalEvents = 0;
+      let checkpointFound = false;
+      for await (const line of this.readJSONL(jsonlPath)) {
+        totalEvents++;
+        if (checkpoint?.eventKey && !checkpointFound) {
+          checkpointFound = this.getEventKey(JSON.parse(line)) === checkpoint.eventKey;
+        }
+      }
+
+      console.log(`Found ${totalEvents} event(s) to process`);
+      if (this.sync) {
+        console.log("🔄 Sync mode: existing events are updated when they changed");
+      } else if (this.checkDuplicates) {
         console.log("🔍 Duplicate checking is ENABLED");
       } else {
         console.log("⚡ Duplicate checking is DISABLED (faster imports)");
       }
 
-      // Reverse events to process newest-to-oldest
-      events.reverse();
       console.log("📅 Processing events from newest to oldest");
 
-      const startPosition = this.loadCheckpoint(icsFilePath);
+      if (checkpoint?.eventKey && !checkpointFound) {
+        console.log("⚠️  Checkpoint event is no longer in the JSONL file, starting from beginning");
+      }
+      if (this.batchSize > 1) {
+        console.log(`📦 Importing in batches of ${this.batchSize}`);
+      }
       console.log("");
 
-      let successCount = 0;
-      let skippedCount = 0;
-      let resumedCount = 0;
+      const startPosition = checkpoint?.position ?? -1;
+      const progress = {
+        resuming: checkpointFound,
+        // Events imported after the checkpoint event by a partially failed batch
+        completedKeys: new Set(checkpoint?.completedKeys || []),
+        lastKey: checkpointFound ? checkpoint.eventKey : null,
+        successCount: 0,
+        skippedCount: 0,
+        resumedCount: 0,
+        updatedCount: 0,
+        unchangedCount: 0,
+      };
+      const context = { jsonlPath, icsFilePath, calendarId, progress };
+      if (this.concurrency > 1 || this.batchSize > 1) {
+        // Events can finish out of processing order
+        context.tracking = {
+          // Events in processing order; those before orderStart are behind the checkpoint
+          order: [],
+          orderStart: 0,
+          // Keys of events finished beyond the checkpoint
+          finishedAhead: new Set(),
+          checkpointSavedAt: 0,
+        };
+      }
+      if (this.concurrency > 1) {
+        console.log(`🧵 Importing with ${this.concurrency} concurrent workers`);
+        context.concurrent = {
+          inFlight: new Set(),
+          ready: [],
+          // iCalUID -> "inFlight" | "done" for recurring series masters
+          masters: new Map(),
+          // iCalUID -> exceptions waiting for their master to be imported
+          waiting: new Map(),
+        };
+      } else if (this.batchSize > 1) {
+        context.batch = {
+          pending: [],
+          // iCalUIDs of series masters already read
+          masters: new Set(),
+          // iCalUID -> exceptions waiting for their master to be read
+          waiting: new Map(),
+          // Exceptions whose master was just read, queued after it has been handled
+          released: [],
+        };
+      }
+      const importSource = this.getImportSource(icsFilePath);
+      let i = -1;
 
-      for (let i = 0; i < events.length; i++) {
+      for await (const line of this.readJSONLReverse(jsonlPath)) {
+        i++;
         if (i <= startPosition) {
-          resumedCount++;
+          progress.resumedCount++;
           continue;
         }
 
-        const eventData = events[i];
-        let googleEvent = null;
+        const eventData = JSON.parse(line);
+        const eventKey = this.getEventKey(eventData);
 
-        try {
-          const { _metadata, _isRecurrenceException, ...googleEvent } = eventData;
-          const cleanEvent = googleEvent;
-
-          if (this.checkDuplicates) {
-            const exists = await this.checkEventExists(cleanEvent.iCalUID, calendarId);
-            if (exists) {
-              console.log(`⏭️  Skipped (exists): ${cleanEvent.summary}`);
-              skippedCount++;
-              continue;
-            }
+        if (progress.resuming) {
+          progress.resumedCount++;
+          this.markMasterImported(eventData, context);
+          if (eventKey === checkpoint.eventKey) {
+            progress.resuming = false;
           }
+          continue;
+        }
 
-          let response;
+        if (progress.completedKeys.delete(eventKey)) {
+          progress.resumedCount++;
+          this.markMasterImported(eventData, context);
+          continue;
+        }
 
-          response = await this.calendar.events.import({
-            calendarId: calendarId,
-            supportsAttendees: true,
-            resource: cleanEvent,
-          });
+        const { _metadata, _isRecurrenceException, ...event } = eventData;
+        const cleanEvent = this.tagImportedEvent(event, importSource);
+        const item = {
+          eventData,
+          cleanEvent,
+          metadata: _metadata,
+          eventKey,
+          // Calculate original line number (since events are read in reverse)
+          lineNumber: totalEvents - i,
+        };
+        context.tracking?.order.push(item);
 
-          // Update ensures recurrence rules are properly processed by Google Calendar
-          if (_metadata.hasRecurrence && !_metadata.isRecurrenceException) {
-            response = await this.updateEventWithRetry(calendarId, response.data.id, cleanEvent);
-          }
+        if (context.concurrent) {
+          await this.scheduleConcurrentImport(item, context);
+          continue;
+        }
 
-          let eventType = "";
-          if (_metadata.hasRecurrence) {
-            eventType = " 🔁 (RECURRING)";
-          } else if (_metadata.isRecurrenceException) {
-            eventType = " 🔄 (EXCEPTION)";
-          }
+        if (context.batch) {
+          // The previous event has been handled, so its exceptions can follow it
+          await this.queueBatchImports(context.batch.released.splice(0), context);
+          this.markMasterImported(eventData, context);
+        }
 
-          console.log(`✅ Imported: ${cleanEvent.summary}${eventType}`);
-          console.log(
-            `   📧 Organizer: ${cleanEvent.organizer?.displayName || "None"} (${cleanEvent.organizer?.email || "No email"})`,
-          );
-          console.log(`   👥 Attendees: ${cleanEvent.attendees?.length || 0}`);
-          if (_metadata.hasRecurrence) {
-            console.log(`   🔁 Recurrence: ${cleanEvent.recurrence[0]}`);
-          }
-          if (_metadata.isRecurrenceException) {
-            console.log(`   🔄 Exception to recurring event: ${cleanEvent.iCalUID}`);
-            if (cleanEvent.originalStartTime) {
-              console.log(`   📅 Original time: ${cleanEvent.originalStartTime.dateTime}`);
+        if (this.sync) {
+          try {
+            if (await this.syncExistingEvent(item, context)) {
+              this.markEventComplete(item, context);
+              continue;
             }
+          } catch (eventError) {
+            this.handleImportError(eventError, item, context);
+            // Only reached when the error is skipped rather than fatal
+            this.markEventComplete(item, context);
+            continue;
           }
+        } else if (this.checkDuplicates) {
+          let exists;
+          try {
+            exists = await this.checkEventExists(cleanEvent, calendarId);
+          } catch (lookupError) {
+            this.handleImportError(lookupError, item, context);
+            this.markEventComplete(item, context);
+            continue;
+          }
+          if (exists) {
+            console.log(`⏭️  Skipped (exists): ${cleanEvent.summary}`);
+            progress.skippedCount++;
+            this.markEventComplete(item, context);
+            continue;
+          }
+        }
+
+        if (context.batch) {
+          await this.queueBatchImports([item], context);
+          continue;
+        }
 
-          successCount++;
-          this.saveCheckpoint(icsFilePath, i);
+        try {
+          const response = await this.importEvent(calendarId, cleanEvent);
+
+          await this.finishImportedEvent(item, response, context);
         } catch (eventError) {
-          const errorMessage = eventError.message || "Unknown error";
-          const eventSummary = eventData.summary || "Untitled Event";
-          const eventUID = eventData.iCalUID || "Unknown UID";
-          // Calculate original line number (since events are now reversed)
-          const originalLineNumber = events.length - i;
-          console.error(
-            `❌ Failed to import event at line ${originalLineNumber} of ${jsonlPath}: ${errorMessage}`,
-          );
-          console.error(`   📝 Event: "${eventSummary}" (UID: ${eventUID})`);
-
-          // Check if this is a sequence-related error that already went through retry logic
-          if (this.isSequenceError(eventError)) {
-            console.error("   🔄 This is a sequence/conflict error:");
-            console.error("      - Retry logic was attempted but all attempts failed");
-            console.error(
-              "      - The event may be in rapid flux or there's a persistent conflict",
-            );
-            console.error("      - Skipping this event and continuing with import...");
-            continue; // Skip this event and continue instead of exiting
-          } else if (errorMessage.includes("Bad Request")) {
-            console.error("   🔍 This might be due to:");
-            console.error("      - Invalid date/time format");
-            console.error("      - Missing required fields");
-            console.error("      - Recurring event issues");
-            console.error("      - Invalid attendee email addresses");
-          } else if (errorMessage.includes("Forbidden")) {
-            console.error("   🔒 This might be due to:");
-            console.error("      - Insufficient permissions on the target calendar");
-            console.error("      - Event already exists in a calendar you cannot modify");
-            console.error("      - Calendar API quota exceeded");
-            console.error("      - Event organizer restrictions");
-          }
+          this.handleImportError(eventError, item, context);
+        }
+      }
 
-          if (eventData) {
-            console.error("📄 Event data:", JSON.stringify(eventData, null, 2));
-          }
+      if (context.batch) {
+        const batch = context.batch;
+        await this.queueBatchImports(batch.released.splice(0), context);
+        // Exceptions whose master is not in this run
+        for (const [uid, exceptions] of batch.waiting) {
+          batch.masters.add(uid);
+          await this.queueBatchImports(exceptions, context);
+        }
+        batch.waiting.clear();
+        await this.flushBatch(context);
+      }
 
-          if (this.skipErrors) {
-            console.error("⚠️  Skipping this event and continuing...");
-            continue;
-          } else {
-            console.error(
-              "\n🛑 Import stopped. To skip failed events and continue, set SKIP_ERRORS=1",
-            );
-            process.exit(1);
+      if (context.concurrent) {
+        // Exceptions whose master is not in this run; those waiting on a master
+        // still in flight are released when it finishes
+        for (const [uid, exceptions] of context.concurrent.waiting) {
+          if (context.concurrent.masters.get(uid) !== "inFlight") {
+            context.concurrent.ready.push(...exceptions);
+            context.concurrent.waiting.delete(uid);
           }
         }
+        await this.drainConcurrentImports(context, 1);
       }
 
+      const { successCount, skippedCount, resumedCount, updatedCount, unchangedCount } = progress;
       console.log(`\n🎉 Import complete!`);
-      console.log(`   ✅ ${successCount} events imported`);
+      if (this.sync) {
+        console.log(`   ✅ ${successCount} events created`);
+        console.log(`   ✏️  ${updatedCount} events updated`);
+        console.log(`   ➖ ${unchangedCount} events unchanged`);
+      } else {
+        console.log(`   ✅ ${successCount} events imported`);
+      }
       if (resumedCount > 0) {
         console.log(`   ⏩ ${resumedCount} events already processed`);
       }
       console.log(`   ⏭️  ${skippedCount} events skipped`);
+      if (this.retryStats.retries > 0) {
+        const reasons = Object.entries(this.retryStats.byReason)
+          .map(([reason, count]) => `${reason}: ${count}`)
+          .join(", ");
+        console.log(
+          `   ⏳ ${this.retryStats.retries} API retries (${reasons}), waited ${(this.retryStats.waitedMs / 1000).toFixed(1)}s`,
+        );
+      }
 
       this.removeCheckpoint(icsFilePath);
     } catch (error) {
@@ -1145,14 +3971,38 @@ class CalendarImporter {
   }
 }
 
-function parseArgs() {
-  const args = process.argv.slice(2);
+function parseArgs(argv = process.argv.slice(2), defaults = {}) {
+  const args = argv;
   const parsed = {
     command: null,
+    subcommand: null,
+    positionals: [],
     inputFile: null,
+    icsFile: null,
     calendarId: "primary",
     checkDuplicates: false,
+    sync: false,
+    prune: false,
+    pruneDryRun: false,
+    yes: false,
     skipErrors: false,
+    reminders: "preserve",
+    dryRun: false,
+    nonInteractive: false,
+    unresolved: "fail",
+    placeholderDomain: DEFAULT_PLACEHOLDER_DOMAIN,
+    batchSize: 1,
+    concurrency: 1,
+    rateLimit: DEFAULT_RATE_LIMIT,
+    maxRetries: DEFAULT_MAX_RETRIES,
+    openBrowser: false,
+    headless: false,
+    authAction: null,
+    impersonate: null,
+    dataDir: DEFAULT_DATA_DIR,
+    profile: null,
+    // Config file values replace the built-in defaults; flags still win
+    ...defaults,
   };
 
   if (args.length < 1) {
@@ -1162,13 +4012,22 @@ function parseArgs() {
   // First argument is always the command
   parsed.command = args[0];
 
-  // Second argument is the file (if provided)
-  if (args.length > 1 && !args[1].startsWith("--")) {
+  let startIndex = 1;
+  if (parsed.command === "mappings") {
+    // "mappings" takes a subcommand followed by any number of arguments
+    while (startIndex < args.length && !args[startIndex].startsWith("--")) {
+      parsed.positionals.push(args[startIndex]);
+      startIndex++;
+    }
+    parsed.subcommand = parsed.positionals.shift() || null;
+    parsed.inputFile = parsed.positionals[0] || null;
+  } else if (args.length > 1 && !args[1].startsWith("--")) {
+    // Second argument is the file (if provided)
     parsed.inputFile = args[1];
+    startIndex = 2;
   }
 
   // Parse remaining arguments as options
-  const startIndex = parsed.inputFile ? 2 : 1;
   for (let i = startIndex; i < args.length; i++) {
     const arg = args[i];
 
@@ -1180,10 +4039,129 @@ function parseArgs() {
         console.error("❌ --calendar-id requires a value");
         process.exit(1);
       }
+    } else if (arg === "--reminders") {
+      if (i + 1 < args.length && REMINDER_MODES.includes(args[i + 1])) {
+        parsed.reminders = args[i + 1];
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error(`❌ --reminders requires one of: ${REMINDER_MODES.join(", ")}`);
+        process.exit(1);
+      }
+    } else if (arg === "--ics") {
+      if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+        parsed.icsFile = args[i + 1];
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --ics requires an ICS file");
+        process.exit(1);
+      }
+    } else if (arg === "--data-dir") {
+      if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+        parsed.dataDir = args[i + 1];
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --data-dir requires a directory");
+        process.exit(1);
+      }
+    } else if (arg === "--profile") {
+      if (i + 1 < args.length && PROFILE_NAME_REGEX.test(args[i + 1])) {
+        parsed.profile = args[i + 1];
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --profile requires a name (letters, digits, '.', '_' or '-')");
+        process.exit(1);
+      }
+    } else if (arg === "--dry-run") {
+      parsed.dryRun = true;
+    } else if (arg === "--non-interactive") {
+      parsed.nonInteractive = true;
+    } else if (arg === "--unresolved") {
+      if (i + 1 < args.length && UNRESOLVED_POLICIES.includes(args[i + 1])) {
+        parsed.unresolved = args[i + 1];
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error(`❌ --unresolved requires one of: ${UNRESOLVED_POLICIES.join(", ")}`);
+        process.exit(1);
+      }
+    } else if (arg === "--placeholder-domain") {
+      if (i + 1 < args.length && /^[a-z0-9.-]+\.[a-z]+$/i.test(args[i + 1])) {
+        parsed.placeholderDomain = args[i + 1];
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --placeholder-domain requires a domain name");
+        process.exit(1);
+      }
+    } else if (arg === "--batch-size") {
+      const batchSize = Number(args[i + 1]);
+      if (NUMBER_OPTIONS.batchSize(batchSize)) {
+        parsed.batchSize = batchSize;
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error(`❌ --batch-size requires a number from 1 to ${MAX_BATCH_SIZE}`);
+        process.exit(1);
+      }
+    } else if (arg === "--concurrency") {
+      const concurrency = parseInt(args[i + 1]);
+      if (NUMBER_OPTIONS.concurrency(concurrency)) {
+        parsed.concurrency = concurrency;
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --concurrency requires a positive number");
+        process.exit(1);
+      }
+    } else if (arg === "--rate-limit") {
+      const rateLimit = Number(args[i + 1]);
+      if (NUMBER_OPTIONS.rateLimit(rateLimit)) {
+        parsed.rateLimit = rateLimit;
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --rate-limit requires a positive number of requests per second");
+        process.exit(1);
+      }
+    } else if (arg === "--max-retries") {
+      const maxRetries = parseInt(args[i + 1]);
+      if (NUMBER_OPTIONS.maxRetries(maxRetries)) {
+        parsed.maxRetries = maxRetries;
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --max-retries requires a non-negative number");
+        process.exit(1);
+      }
+    } else if (arg === "--status" || arg === "--revoke") {
+      parsed.authAction = arg.slice(2);
+    } else if (arg === "--impersonate") {
+      if (i + 1 < args.length && EMAIL_REGEX.test(args[i + 1])) {
+        parsed.impersonate = args[i + 1];
+        i++; // Skip next argument since we consumed it
+      } else {
+        console.error("❌ --impersonate requires the email address of a user in your domain");
+        process.exit(1);
+      }
+    } else if (arg === "--open") {
+      parsed.openBrowser = true;
+    } else if (arg === "--headless") {
+      parsed.headless = true;
     } else if (arg === "--check-duplicates") {
       parsed.checkDuplicates = true;
+    } else if (arg === "--sync") {
+      parsed.sync = true;
+    } else if (arg === "--prune") {
+      parsed.prune = true;
+    } else if (arg === "--prune-dry-run") {
+      parsed.pruneDryRun = true;
+    } else if (arg === "--yes") {
+      parsed.yes = true;
     } else if (arg === "--skip-errors") {
       parsed.skipErrors = true;
+    } else if (arg === "--no-check-duplicates") {
+      // The --no- forms turn off an option config.json turns on
+      parsed.checkDuplicates = false;
+    } else if (arg === "--no-sync") {
+      parsed.sync = false;
+    } else if (arg === "--no-skip-errors") {
+      parsed.skipErrors = false;
+    } else if (arg === "--no-non-interactive") {
+      parsed.nonInteractive = false;
     } else if (arg === "--help" || arg === "-h") {
       showHelp();
       process.exit(0);
@@ -1193,46 +4171,222 @@ function parseArgs() {
     }
   }
 
+  if (parsed.concurrency > 1 && parsed.batchSize > 1) {
+    console.error("❌ --concurrency cannot be combined with --batch-size");
+    process.exit(1);
+  }
+
   return parsed;
 }
 
+function applyArgs(importer, args) {
+  // Override instance settings with command line options
+  importer.checkDuplicates = args.checkDuplicates;
+  importer.sync = args.sync;
+  importer.prune = args.prune;
+  importer.pruneDryRun = args.pruneDryRun;
+  importer.assumeYes = args.yes;
+  importer.skipErrors = args.skipErrors;
+  importer.remindersMode = args.reminders;
+  importer.nonInteractive = args.nonInteractive;
+  importer.unresolvedPolicy = args.unresolved;
+  importer.placeholderDomain = args.placeholderDomain;
+  importer.openBrowser = args.openBrowser;
+  importer.headlessAuth = args.headless;
+  importer.impersonate = args.impersonate;
+  importer.batchSize = args.batchSize;
+  importer.concurrency = args.concurrency;
+  importer.rateLimit = args.rateLimit;
+  importer.maxRetries = args.maxRetries;
+}
+
 function showHelp() {
   console.log(`Usage:
-  node ics-import.js auth
+  node ics-import.js auth [--status | --revoke]
   node ics-import.js prepare <file.ics> [options]
-  node ics-import.js process <file.jsonl> [options]
+  node ics-import.js process <file.jsonl> [--dry-run] [options]
+  node ics-import.js mappings list
+  node ics-import.js mappings add <alias|name> <original> <email>
+  node ics-import.js mappings remove <alias|name> <original>
+  node ics-import.js mappings validate
+  node ics-import.js mappings prune <file.ics>... [--dry-run]
+  node ics-import.js mappings import <contacts.csv|contacts.vcf> --ics <file.ics> [--dry-run]
+  node ics-import.js mappings test <email>
 
 Commands:
   auth       Generate Google Calendar API authorization tokens
+             (--status shows the saved grant, --revoke revokes and deletes it)
   prepare    Scan ICS file and build email/name mappings
   process    Import events to Google Calendar from JSONL file
+  mappings   Manage email aliases and name-to-email mappings:
+             list, add, remove, validate (exits non-zero on invalid entries),
+             prune (drop entries no given ICS file uses),
+             import (fill from a CSV or vCard address book),
+             test (show how an address is rewritten and aliased)
 
 Options:
   --calendar-id <id>     Target calendar ID (default: primary)
-  --check-duplicates     Enable duplicate event checking (slower)
+  --data-dir <dir>       Directory for mappings, tokens and config (default: ${DEFAULT_DATA_DIR})
+  --profile <name>       Keep tokens, mappings and checkpoints separate per person
+                         and apply the profile's settings from <data-dir>/${CONFIG_FILE}
+  --ics <file>           ICS file whose names and addresses mappings import matches
+  --dry-run              With process: validate events offline without importing
+                         With mappings prune or import: only show the changes
+  --check-duplicates     Skip events already in the calendar, using an index of
+                         the calendar kept in <data-dir>/${EVENT_INDEX_FILE}
+  --sync                 Update events that already exist when they changed
+                         instead of skipping them
+  --prune                Before importing, delete events imported from the same
+                         ICS file (and profile) that are no longer in the JSONL
+                         file (asks first)
+  --prune-dry-run        Only list the events --prune would delete
+  --yes                  Delete with --prune without asking (required with
+                         --non-interactive)
   --skip-errors          Skip failed events and continue
+  --no-check-duplicates, --no-sync, --no-skip-errors, --no-non-interactive
+                         Turn off an option that ${CONFIG_FILE} turns on
+  --batch-size <n>       Import up to n events per batch request (default: 1)
+  --concurrency <n>      Run up to n imports in parallel (default: 1)
+  --rate-limit <n>       Maximum Calendar API requests per second (default: ${DEFAULT_RATE_LIMIT})
+  --max-retries <n>      Retries for rate-limited or failed API calls (default: ${DEFAULT_MAX_RETRIES})
+  --reminders <mode>     Reminders for prepared events: preserve (default),
+                         calendar-default or none
+  --impersonate <email>  Act as this domain user (service account key required)
+  --open                 Open the authorization URL in the default browser
+  --headless             Authorize on another machine and paste the redirect URL
+  --non-interactive      Prepare without prompting; unresolved entries go to
+                         <data-dir>/${UNRESOLVED_FILE}
+  --unresolved <policy>  With --non-interactive: fail (default, exit non-zero),
+                         drop the attendee, or use a placeholder address
+  --placeholder-domain <domain>
+                         Domain for placeholder addresses (default: ${DEFAULT_PLACEHOLDER_DOMAIN})
   --help, -h             Show this help message
 
 Examples:
   node ics-import.js auth
+  node ics-import.js auth --headless
+  node ics-import.js auth --status
   node ics-import.js prepare data/calendar.ics
+  node ics-import.js prepare data/calendar.ics --reminders calendar-default
+  node ics-import.js prepare data/calendar.ics --non-interactive --unresolved drop
+  node ics-import.js mappings import contacts.vcf --ics data/calendar.ics
+  node ics-import.js mappings test someone@oldcorp.com
+  node ics-import.js mappings add name "Jane Doe" jane@example.com
+  node ics-import.js mappings prune data/calendar.ics --dry-run
   node ics-import.js process data/calendar.ics.jsonl
   node ics-import.js process data/calendar.ics.jsonl --calendar-id work@group.calendar.google.com
-  node ics-import.js process data/calendar.ics.jsonl --check-duplicates --skip-errors`);
+  node ics-import.js process data/calendar.ics.jsonl --dry-run
+  node ics-import.js process data/calendar.ics.jsonl --check-duplicates --skip-errors
+  node ics-import.js process data/calendar.ics.jsonl --batch-size 50
+  node ics-import.js process data/calendar.ics.jsonl --sync
+  node ics-import.js process data/calendar.ics.jsonl --sync --prune-dry-run
+  node ics-import.js process data/calendar.ics.jsonl --impersonate alice@example.com
+  node ics-import.js prepare data/mum.ics --profile mum
+  node ics-import.js process data/mum.ics.mum.jsonl --profile mum`);
 }
 
 async function main() {
-  const args = parseArgs();
+  let args = parseArgs();
 
   if (!args.command) {
     showHelp();
     process.exit(1);
   }
 
+  if (args.profile) {
+    console.log(`👤 Profile: ${args.profile}`);
+  }
+  const importer = new CalendarImporter({ dataDir: args.dataDir, profile: args.profile });
+
+  // The config file lives in the data directory, so parse again once it is known
+  let config;
+  try {
+    config = importer.loadConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (Object.keys(config).length > 0) {
+    args = parseArgs(process.argv.slice(2), config);
+  }
+  applyArgs(importer, args);
+
   // Special handling for auth command which doesn't require a file
   if (args.command === "auth") {
-    const importer = new CalendarImporter();
-    await importer.authenticateOnly();
+    if (args.authAction === "status") {
+      await importer.showAuthStatus();
+    } else if (args.authAction === "revoke") {
+      await importer.revokeAuthorization();
+    } else {
+      await importer.authenticateOnly();
+    }
+    return;
+  }
+
+  if (args.command === "mappings") {
+    const [first, second, third] = args.positionals;
+    const requireKind = (usage) => {
+      if (!MAPPING_KINDS.includes(first) || !second || (usage.includes("<email>") && !third)) {
+        console.error(`❌ Usage: node ics-import.js mappings ${args.subcommand} ${usage}`);
+        process.exit(1);
+      }
+    };
+
+    switch (args.subcommand) {
+      case "list":
+        importer.listMappings();
+        break;
+      case "add":
+        requireKind("<alias|name> <original> <email>");
+        importer.addMapping(first, second, third);
+        break;
+      case "remove":
+        requireKind("<alias|name> <original>");
+        importer.removeMapping(first, second);
+        break;
+      case "validate":
+        if (importer.validateMappings() > 0) {
+          process.exit(1);
+        }
+        break;
+      case "prune":
+        if (args.positionals.length === 0) {
+          console.error("❌ mappings prune requires at least one ICS file");
+          process.exit(1);
+        }
+        for (const file of args.positionals) {
+          if (!fs.existsSync(file)) {
+            console.error(`❌ File not found: ${file}`);
+            process.exit(1);
+          }
+        }
+        await importer.pruneMappings(args.positionals, args.dryRun);
+        break;
+      case "test":
+        if (!args.inputFile) {
+          console.error("❌ mappings test requires an email address");
+          process.exit(1);
+        }
+        importer.testEmailMapping(args.inputFile);
+        break;
+      case "import":
+        if (!args.inputFile || !args.icsFile) {
+          console.error("❌ mappings import requires a contacts file and --ics <file.ics>");
+          process.exit(1);
+        }
+        for (const file of [args.inputFile, args.icsFile]) {
+          if (!fs.existsSync(file)) {
+            console.error(`❌ File not found: ${file}`);
+            process.exit(1);
+          }
+        }
+        await importer.importMappings(args.inputFile, args.icsFile, args.dryRun);
+        break;
+      default:
+        console.error(`❌ Unknown mappings subcommand: ${args.subcommand}`);
+        console.log("Valid subcommands: list, add, remove, validate, prune, import, test");
+        process.exit(1);
+    }
     return;
   }
 
@@ -1246,12 +4400,6 @@ async function main() {
     process.exit(1);
   }
 
-  const importer = new CalendarImporter();
-
-  // Override instance settings with command line options
-  importer.checkDuplicates = args.checkDuplicates;
-  importer.skipErrors = args.skipErrors;
-
   switch (args.command) {
     case "prepare":
       if (!args.inputFile.endsWith(".ics")) {
@@ -1267,6 +4415,14 @@ async function main() {
         process.exit(1);
       }
 
+      // Dry runs never touch credentials or the checkpoint
+      if (args.dryRun) {
+        if ((await importer.validateJSONLFile(args.inputFile)) > 0) {
+          process.exit(1);
+        }
+        break;
+      }
+
       if (args.calendarId !== "primary") {
         console.log(`📅 Target calendar: ${args.calendarId}`);
       } else {
@@ -1274,12 +4430,12 @@ async function main() {
       }
 
       // Extract the original ICS path for checkpoint operations
-      const icsPath = args.inputFile.replace(".jsonl", "");
+      const icsPath = importer.getICSPathForEvents(args.inputFile);
       await importer.processJSONLFile(args.inputFile, icsPath, args.calendarId);
       break;
     default:
       console.error(`❌ Unknown command: ${args.command}`);
-      console.log("Valid commands: auth, prepare, process");
+      console.log("Valid commands: auth, prepare, process, mappings");
       process.exit(1);
   }
 }
@@ -1289,3 +4445,5 @@ if (require.main === module) {
 }
 
 module.exports = CalendarImporter;
+// Exposed for tests of the command line handling
+module.exports.parseArgs = parseArgs;